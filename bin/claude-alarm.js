@@ -2,25 +2,69 @@
 'use strict';
 
 const command = process.argv[2];
+const args = process.argv.slice(3);
+
+// Commands may be async: a failure gets the usual one-line message, not a stack trace
+function run(action) {
+  Promise.resolve()
+    .then(action)
+    .catch((err) => {
+      console.error(`\n  Error: ${err.message}\n`);
+      process.exit(1);
+    });
+}
 
 switch (command) {
   case 'setup':
-    require('../src/setup').setup();
+    run(() => require('../src/setup').setup(args));
     break;
   case 'uninstall':
-    require('../src/setup').uninstall();
+    run(() => require('../src/setup').uninstall());
     break;
   case 'start':
-    require('../src/setup').manualStart(process.argv[3]);
+    run(() => require('../src/setup').manualStart(args));
+    break;
+  case 'resume':
+    run(() => require('../src/setup').resume());
+    break;
+  case 'snooze':
+    run(() => require('../src/setup').snooze(args));
+    break;
+  case 'extend':
+    run(() => require('../src/setup').extend(args));
+    break;
+  case 'reschedule':
+    run(() => require('../src/setup').reschedule(args));
     break;
   case 'stop':
-    require('../src/setup').stop();
+    run(() => require('../src/setup').stop(args));
     break;
   case 'status':
-    require('../src/setup').status();
+    run(() => require('../src/setup').status());
+    break;
+  case 'history':
+    run(() => require('../src/setup').history(args));
+    break;
+  case 'replay':
+    run(() => require('../src/setup').replay(args));
+    break;
+  case 'sync':
+    run(() => require('../src/setup').syncCommand(args));
+    break;
+  case 'config':
+    run(() => require('../src/setup').configCommand(args));
+    break;
+  case 'doctor':
+    run(() => require('../src/setup').doctor(args));
+    break;
+  case 'restore-settings':
+    run(() => require('../src/setup').restoreSettings(args));
+    break;
+  case 'statusline':
+    run(() => require('../src/statusline').printStatusLine());
     break;
   case 'test':
-    require('../src/setup').test();
+    run(() => require('../src/setup').test());
     break;
   default:
     printHelp();
@@ -35,16 +79,40 @@ function printHelp() {
 
   Commands:
     setup          One-time setup (installs Claude Code hooks)
+                   --autostart re-arms pending alarms at login (Linux)
+                   --statusline shows the countdown in Claude Code's status line
     uninstall      Remove hooks and clean up
     start <time>   Manual alarm (e.g., "4h", "30m", "90s", "120")
-    stop           Dismiss active alarm
-    status         Check alarm status
+                   --label <name> names the alarm
+    stop [id]      Dismiss an alarm (--all dismisses every alarm)
+    snooze [id] [time]
+                   Ring again later (default: snoozeMinutes from config)
+    extend [id] <time>
+                   Move a pending alarm later, e.g. "extend 30m"
+    reschedule [id] <time>
+                   Fire at another time: "15:30", "45m" or a date
+    status         List pending alarms
+    resume         Re-arm alarms lost to a reboot or logout
+    sync           Arm the alarms other machines shared (--watch keeps checking)
+    history        Show past rate limits and alarms
+                   --since 7d, --event <name>, --project <name>, --summary [--by week], --json
+    replay <file|->
+                   Show what the hook would do with a saved payload
+                   --now <time> replays as of another time, --json
+    config [list|get|set|unset|reset|edit]
+                   View or change settings, e.g. "config set snoozeMinutes 10"
+    doctor         Check the installation (--fix redeploys outdated scripts and hooks)
+    restore-settings [n]
+                   List backups of ~/.claude/settings.json, or restore backup n
+    statusline     Print the countdown segment for Claude Code's status line
     test           Play a test alarm
 
   Examples:
     npx claude-alarm setup        # One-time setup
     npx claude-alarm start 4h     # Manual: alarm in 4 hours
     npx claude-alarm start 30s    # Manual: alarm in 30 seconds
-    npx claude-alarm stop         # Dismiss alarm
+    npx claude-alarm start 25m --label standup
+    npx claude-alarm stop --all   # Dismiss every alarm
+    npx claude-alarm snooze 10m   # Ring again in 10 minutes
   `);
 }
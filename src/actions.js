@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+'use strict';
+
+//
+// `onReset` actions: shell commands run when an alarm fires, e.g. to resume the blocked
+// Claude Code session or start a queued job.
+//
+//   "onReset": [
+//     { "name": "resume", "command": "claude --resume \"$CLAUDE_ALARM_SESSION_ID\" -p 'Continue'",
+//       "timeoutSeconds": 3600 },
+//     "~/bin/run-queued-jobs.sh"
+//   ]
+//
+// An action is a command, or an object with `command` plus `name`, `cwd` (default: the
+// blocked project's directory, else the home directory) and `timeoutSeconds` (default 600).
+// Commands run through sh (cmd.exe on Windows), one after another, with these variables:
+//
+//   CLAUDE_ALARM_ID            Alarm id, e.g. "usage-limit"
+//   CLAUDE_ALARM_LABEL         Its label ("Usage limit", or the label of a manual alarm)
+//   CLAUDE_ALARM_LIMIT_TYPE    usage, weekly or manual
+//   CLAUDE_ALARM_RESET_TIME    When the limit reset (ISO 8601)
+//   CLAUDE_ALARM_RESET_EPOCH   The same, in seconds since 1970
+//   CLAUDE_ALARM_SESSION_ID    The blocked Claude Code session (empty for manual alarms)
+//   CLAUDE_ALARM_CWD           Its working directory (empty when unknown)
+//   CLAUDE_ALARM_PROJECT       The name of that directory
+//   CLAUDE_ALARM_SOURCE        What armed the alarm: the hook event, or "start"
+//
+// The daemon starts this file as a separate process, so dismissing the alarm doesn't stop
+// a running action. Output goes to ~/.claude-alarm/actions.log, results to the history.
+// It lives at ~/.claude-alarm/actions.js after setup.
+//
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
+const ACTIONS_LOG = path.join(CONFIG_DIR, 'actions.log');
+
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const KILL_GRACE_MS = 5000; // Between SIGTERM and SIGKILL on timeout
+const MAX_LOG_BYTES = 1024 * 1024; // Then the log moves to actions.log.1
+
+// ── Environment ──────────────────────────────────────────────────────
+
+function limitType(alarm) {
+  if (alarm.id === 'usage-limit') return 'usage';
+  if (alarm.id === 'weekly-limit') return 'weekly';
+  return 'manual';
+}
+
+// The CLAUDE_ALARM_* variables for `alarm`
+function actionEnv(alarm) {
+  const reset = new Date(alarm.targetTime);
+  return {
+    CLAUDE_ALARM_ID: alarm.id,
+    CLAUDE_ALARM_LABEL: alarm.label || '',
+    CLAUDE_ALARM_LIMIT_TYPE: limitType(alarm),
+    CLAUDE_ALARM_RESET_TIME: reset.toISOString(),
+    CLAUDE_ALARM_RESET_EPOCH: String(Math.floor(reset.getTime() / 1000)),
+    CLAUDE_ALARM_SESSION_ID: alarm.sessionId || '',
+    CLAUDE_ALARM_CWD: alarm.cwd || '',
+    CLAUDE_ALARM_PROJECT: alarm.cwd ? path.basename(alarm.cwd) : '',
+    CLAUDE_ALARM_SOURCE: alarm.source || '',
+  };
+}
+
+// The alarm fields the history wants, back from the variables
+function alarmFromEnv(env) {
+  return {
+    id: env.CLAUDE_ALARM_ID,
+    label: env.CLAUDE_ALARM_LABEL || null,
+    source: env.CLAUDE_ALARM_SOURCE || null,
+    sessionId: env.CLAUDE_ALARM_SESSION_ID || null,
+    cwd: env.CLAUDE_ALARM_CWD || null,
+    targetTime: Date.parse(env.CLAUDE_ALARM_RESET_TIME),
+  };
+}
+
+// ── Running ──────────────────────────────────────────────────────────
+
+function expandHome(file) {
+  return String(file).replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// { name, command, cwd, timeoutSeconds } for a configured action
+function normalizeAction(action, index, env) {
+  const spec = typeof action === 'string' ? { command: action } : action;
+  const fallbackCwd = env.CLAUDE_ALARM_CWD && fs.existsSync(env.CLAUDE_ALARM_CWD) ? env.CLAUDE_ALARM_CWD : os.homedir();
+  return {
+    name: spec.name || `action ${index + 1}`,
+    command: spec.command,
+    cwd: spec.cwd ? path.resolve(expandHome(spec.cwd)) : fallbackCwd,
+    timeoutSeconds: spec.timeoutSeconds > 0 ? spec.timeoutSeconds : DEFAULT_TIMEOUT_SECONDS,
+  };
+}
+
+function openLog() {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  try {
+    if (fs.statSync(ACTIONS_LOG).size > MAX_LOG_BYTES) fs.renameSync(ACTIONS_LOG, `${ACTIONS_LOG}.1`);
+  } catch {}
+  return fs.openSync(ACTIONS_LOG, 'a');
+}
+
+// Run one action, its output appended to the log. Resolves to
+// { name, exitCode, signal, timedOut, error, durationMs }; never rejects.
+function runAction(action, env, logFd) {
+  const started = Date.now();
+  const log = (line) => fs.writeSync(logFd, `[${new Date().toISOString()}] ${line}\n`);
+  log(`${action.name}: ${action.command} (in ${action.cwd})`);
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      const outcome = result.error
+        ? `failed: ${result.error}`
+        : result.timedOut
+          ? `timed out after ${action.timeoutSeconds}s`
+          : result.signal
+            ? `killed by ${result.signal}`
+            : `exit ${result.exitCode}`;
+      log(`${action.name}: ${outcome}`);
+      resolve({ name: action.name, ...result, durationMs: Date.now() - started });
+    };
+
+    if (!fs.existsSync(action.cwd)) return finish({ error: `no such directory: ${action.cwd}` });
+
+    const posix = os.platform() !== 'win32';
+    let child;
+    try {
+      // Its own process group on POSIX, so a timeout stops what the command started too
+      child = spawn(action.command, { shell: true, cwd: action.cwd, env, stdio: ['ignore', logFd, logFd], detached: posix });
+    } catch (err) {
+      return finish({ error: err.message });
+    }
+
+    let timedOut = false;
+    const kill = (signal) => {
+      try {
+        if (posix) process.kill(-child.pid, signal);
+        else child.kill(signal);
+      } catch {}
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill('SIGTERM');
+      setTimeout(() => kill('SIGKILL'), KILL_GRACE_MS).unref();
+    }, action.timeoutSeconds * 1000);
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      finish({ error: err.message });
+    });
+    child.on('exit', (exitCode, signal) => {
+      clearTimeout(timer);
+      finish({ exitCode, signal: timedOut ? undefined : signal, timedOut: timedOut || undefined });
+    });
+  });
+}
+
+// Run `actions` one after another with the alarm's variables. Resolves to their results.
+async function runActions(actions, env) {
+  const logFd = openLog();
+  const results = [];
+  try {
+    for (const [index, action] of actions.entries()) {
+      results.push(await runAction(normalizeAction(action, index, env), env, logFd));
+    }
+  } finally {
+    fs.closeSync(logFd);
+  }
+  return results;
+}
+
+// Called by the daemon when `alarm` fires: run the configured actions in the background.
+// Returns how many there are.
+function startActions(alarm, actions) {
+  if (!Array.isArray(actions) || actions.length === 0) return 0;
+  const runner = spawn(process.execPath, [__filename], {
+    detached: true,
+    stdio: 'ignore',
+    env: { ...process.env, ...actionEnv(alarm) },
+  });
+  runner.unref();
+  return actions.length;
+}
+
+module.exports = { ACTIONS_LOG, actionEnv, runActions, startActions };
+
+// ── Runner ───────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const { loadConfig } = require('./config');
+  const { recordEvent, alarmFields } = require('./history');
+
+  const { config } = loadConfig();
+  const alarm = alarmFromEnv(process.env);
+  runActions(config.onReset || [], process.env).then((results) => {
+    for (const { name, exitCode, signal, timedOut, error, durationMs } of results) {
+      recordEvent('action', { ...alarmFields(alarm), action: name, exitCode, signal, timedOut, error, durationMs });
+    }
+  });
+}
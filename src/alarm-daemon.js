@@ -3,54 +3,120 @@
 
 //
 // Background alarm daemon. Spawned by hook-handler.js or manual `claude-alarm start`.
+// One daemon runs per alarm; it adopts the alarm's record in ~/.claude-alarm/alarms/.
 // Sleeps until the target time, then fires a positive desktop notification + voice alert.
-// Shows a persistent dialog with a dismiss button. If dismissed, the second repeat is cancelled.
-// If not dismissed, repeats once after 1 minute, then auto-exits.
+// `config.warnings` adds lighter heads-ups before it (by default a notification only).
+// Without a graphical session (SSH, remote dev boxes) it rings in the terminal the alarm came from.
+// Shows a persistent dialog with dismiss and snooze buttons. If dismissed, the remaining repeats
+// are cancelled; if snoozed, the alarm goes back to waiting and fires again later.
+// If not dismissed, repeats per `config.repeat` (default: once after 1 minute), then auto-exits.
+// While it runs, the CLI and other local tools control it through control.js, and with
+// `config.sync` a dismissal on another machine (sync.js) stops it too.
 //
 // Usage:
-//   node alarm-daemon.js <minutes>     Background mode: wait <minutes>, then alarm
+//   node alarm-daemon.js --id <id>     Background mode: run the alarm recorded under <id>
+//   node alarm-daemon.js <minutes>     Background mode: create an alarm firing in <minutes>
 //   node alarm-daemon.js --now         Test mode: fire once immediately, then exit
+//   node alarm-daemon.js --resume      Re-arm pending alarms whose daemon is gone (and the ones
+//                                      other machines shared), then exit
+//
+// Options (when creating an alarm from <minutes>):
+//   --label <text>      Human-readable name shown by `claude-alarm status`
+//   --source <name>     What armed the alarm (hook event name, or "start")
+//   --match <text>      The text that triggered the alarm, kept for `claude-alarm status`
 //
 
-const { execFileSync, spawn: spawnChild } = require('child_process');
-const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const https = require('https');
-const http = require('http');
-
-const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
-const PID_FILE = path.join(CONFIG_DIR, 'alarm.pid');
-const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const { DEFAULT_NOTIFIERS, headlessNotifiers, notifyAll } = require('./notifiers');
+const { quietState } = require('./quiet-hours');
+const { loadConfig } = require('./config');
+const { renderAlert } = require('./messages');
+const { captureTerminal, isHeadless } = require('./terminal');
+const { startActions } = require('./actions');
+const { publishDismissal, sharedDismissal, importSharedAlarms } = require('./sync');
+const { controlError, startControlServer } = require('./control');
+const { recordEvent, alarmFields } = require('./history');
+const {
+  MAX_AHEAD_MS,
+  readAlarm,
+  writeAlarm,
+  updateAlarm,
+  removeAlarm,
+  newAlarmId,
+  currentBootTime,
+  isAlarmRunning,
+  resumeAlarms,
+} = require('./state');
 
 const isTestMode = process.argv.includes('--now');
 
+// Longest delay setTimeout takes (about 24.8 days); a longer one fires at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
 // ── Load config ──────────────────────────────────────────────────────
 
-let config = {
-  displayMessage: 'Time to build. Claude credits are back!',
-  spokenMessage: 'Time to build. Clawed credits are back!',
-  voice: 'Samantha',
-  rate: 165,
-  defaultWaitMinutes: 240,
-};
+// Invalid values fall back to their defaults. Only test mode has a terminal to warn on.
+const { config, warnings } = loadConfig();
+for (const warning of warnings) console.error(`  Warning: ${warning}`);
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// ── Resume (login autostart) ─────────────────────────────────────────
+
+if (process.argv.includes('--resume')) {
+  resumeAlarms();
+  importSharedAlarms(config);
+  // Exit once the spawns have settled, so a daemon that failed to start is reported first
+  setImmediate(() => process.exit(0));
+  return;
+}
 
-try {
-  const saved = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-  config = { ...config, ...saved };
-} catch {}
+// ── Adopt alarm record ───────────────────────────────────────────────
 
-// ── PID management ───────────────────────────────────────────────────
+let alarm = null;
 
 if (!isTestMode) {
-  fs.writeFileSync(PID_FILE, String(process.pid));
+  const id = argValue('--id');
+
+  if (id) {
+    alarm = readAlarm(id);
+    if (!alarm) process.exit(0); // Cancelled before we started
+    if (isAlarmRunning(alarm)) process.exit(0); // Another daemon already adopted it
+  } else {
+    const waitArg = process.argv[2];
+    const parsedWait = waitArg !== undefined ? parseFloat(waitArg) : NaN;
+    const waitMinutes = !isNaN(parsedWait) && parsedWait >= 0 ? parsedWait : config.defaultWaitMinutes;
+    const armedAt = Date.now();
+    const label = argValue('--label') || null;
+
+    alarm = {
+      id: newAlarmId(label),
+      label,
+      source: argValue('--source') || 'start',
+      matchedText: argValue('--match') || null,
+      armedAt,
+      targetTime: armedAt + Math.round(waitMinutes * 60 * 1000),
+    };
+  }
+
+  alarm = writeAlarm({ ...alarm, pid: process.pid, bootTime: currentBootTime() });
+}
+
+function isStillArmed() {
+  const current = readAlarm(alarm.id);
+  return Boolean(current && current.pid === process.pid);
 }
 
+let ringing = null; // AbortController for the alarm currently ringing
+
 function cleanup() {
+  // Close anything the notifiers left open (dialogs, subscriptions)
+  if (ringing) ringing.abort();
   if (!isTestMode) {
-    try {
-      fs.unlinkSync(PID_FILE);
-    } catch {}
+    removeAlarm(alarm.id, process.pid);
   }
 }
 
@@ -64,242 +130,335 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// ── Parse wait time ──────────────────────────────────────────────────
-
-const waitArg = process.argv[2];
-const parsedWait = waitArg !== undefined ? parseFloat(waitArg) : NaN;
-
-let waitMinutes;
-if (isTestMode) {
-  waitMinutes = 0;
-} else if (!isNaN(parsedWait) && parsedWait >= 0) {
-  waitMinutes = parsedWait;
-} else {
-  waitMinutes = config.defaultWaitMinutes;
-}
-
-const waitMs = Math.round(waitMinutes * 60 * 1000);
-
 // ── Schedule alarm ───────────────────────────────────────────────────
 
 if (isTestMode) {
-  playAlertSounds();
-  process.exit(0);
+  notify('test').then((results) => {
+    for (const { name, ok, skipped, reason, error, detail } of results) {
+      if (skipped) {
+        if (reason) console.log(`  ${name} - (skipped: ${reason})`);
+        continue;
+      }
+      console.log(ok ? `  ${name} ✓${detail ? ` (${detail})` : ''}` : `  ${name} ✗ (${error})`);
+    }
+    const actions = (config.onReset || []).length;
+    if (actions > 0) console.log(`  onReset: ${actions} action${actions === 1 ? '' : 's'} (not run by a test)`);
+    process.exit(0);
+  });
 } else {
-  const targetTime = Date.now() + waitMs;
+  let targetTime = alarm.targetTime;
   let alarmFired = false;
-
-  function fireAlarm() {
-    if (alarmFired) return;
-    alarmFired = true;
+  let checker = null;
+  let directTimeout = null;
+  let repeatTimer = null;
+  let warningTimeout = null;
+
+  function schedule(time) {
+    targetTime = time;
+    alarmFired = false;
     clearInterval(checker);
     clearTimeout(directTimeout);
 
-    playAlertSounds();
+    // Check every 30 seconds if it's time to warn or fire.
+    // Survives computer sleep -- setTimeout drifts, but Date.now() stays accurate.
+    checker = setInterval(() => {
+      if (Date.now() >= targetTime) fireAlarm();
+      else checkWarnings();
+    }, 30 * 1000);
+
+    armDirectTimeout();
+    scheduleWarning();
+  }
+
+  // Direct timeouts as a fast-path for when the computer doesn't sleep, re-armed in
+  // steps for targets beyond what setTimeout can wait
+  function armDirectTimeout() {
+    const delay = Math.max(0, targetTime - Date.now());
+    directTimeout = setTimeout(
+      () => (Date.now() >= targetTime ? fireAlarm() : armDirectTimeout()),
+      Math.min(delay, MAX_TIMEOUT_MS)
+    );
+  }
 
-    // Show persistent dismiss dialog (non-blocking spawn)
-    // When user clicks the button, the dialog process exits and we clean up
-    const dialogProc = showDismissDialog();
+  // ── Advance warnings ───────────────────────────────────────────────
+  //
+  //   "warnings": { "minutes": [15, 5], "notifiers": ["desktop"] }
+  //
+  // Each lead time warns once per reset time; the record keeps the ones already sent
+  // (`warningsSent`) so a resumed daemon doesn't repeat them. Snoozes get no warnings, and
+  // neither do lead times that had passed when the alarm was armed.
+
+  function warningLeads() {
+    const minutes = (config.warnings && config.warnings.minutes) || [];
+    const sent = alarm.warningsSent || [];
+    if (alarm.snoozedUntil === targetTime) return [];
+    return minutes
+      .filter((m) => m > 0 && !sent.includes(m) && targetTime - m * 60 * 1000 > (alarm.armedAt || 0))
+      .sort((a, b) => b - a);
+  }
 
-    if (dialogProc) {
-      dialogProc.on('close', () => {
-        // User clicked "Let's go!" -- dismiss alarm, cancel second repeat
-        cleanup();
-        process.exit(0);
-      });
+  function checkWarnings() {
+    if (alarmFired) return;
+    const now = Date.now();
+    const due = warningLeads().filter((m) => now >= targetTime - m * 60 * 1000);
+    if (due.length === 0) return;
+
+    // After a sleep several can be due at once: one warning covers them all. Marked sent in
+    // memory first, so an unwritable record can't make scheduleWarning() find them due again.
+    alarm = { ...alarm, warningsSent: [...(alarm.warningsSent || []), ...due] };
+    alarm = updateAlarm(alarm.id, { warningsSent: alarm.warningsSent }) || alarm;
+    const minutesLeft = Math.max(1, Math.round((targetTime - now) / 60000));
+
+    // An alarm that quiet hours will defer has nothing to warn about yet
+    if (quietState(config.quietHours, now).mode !== 'defer') {
+      recordEvent('warn', { ...alarmFields(alarm), minutesLeft });
+      notify('warning', {}, { notifiers: (config.warnings && config.warnings.notifiers) || ['desktop'] });
     }
+    scheduleWarning();
+  }
 
-    // Second alarm after 1 minute if not dismissed (PID file still exists)
-    setTimeout(() => {
-      if (fs.existsSync(PID_FILE)) {
-        playAlertSounds();
-      }
-      // Auto-exit after second alarm regardless
-      setTimeout(() => process.exit(0), 5000);
-    }, 60 * 1000);
+  function scheduleWarning() {
+    clearTimeout(warningTimeout);
+    const now = Date.now();
+    const next = warningLeads()
+      .map((m) => targetTime - m * 60 * 1000)
+      .filter((time) => time > now);
+    if (next.length === 0) return checkWarnings(); // Armed inside a lead time
+    const first = Math.min(...next);
+    warningTimeout = setTimeout(
+      () => (Date.now() >= first ? checkWarnings() : scheduleWarning()),
+      Math.min(first - now, MAX_TIMEOUT_MS)
+    );
   }
 
-  // Check every 30 seconds if it's time to fire.
-  // Survives computer sleep -- setTimeout drifts, but Date.now() stays accurate.
-  const checker = setInterval(() => {
-    if (Date.now() >= targetTime) fireAlarm();
-  }, 30 * 1000);
+  function fireAlarm() {
+    if (alarmFired || Date.now() < targetTime) return;
+
+    const quiet = quietState(config.quietHours, Date.now());
+    if (quiet.mode === 'defer') {
+      // Sleep through quiet hours, then fire
+      alarm = updateAlarm(alarm.id, { deferredUntil: quiet.until }) || alarm;
+      recordEvent('defer', { ...alarmFields(alarm), until: new Date(quiet.until).toISOString() });
+      schedule(quiet.until);
+      return;
+    }
 
-  // Direct timeout as a fast-path for when the computer doesn't sleep
-  const directTimeout = setTimeout(() => fireAlarm(), waitMs);
-}
+    alarmFired = true;
+    clearInterval(checker);
+    clearTimeout(directTimeout);
+    clearTimeout(warningTimeout);
+    updateAlarm(alarm.id, { firedAt: Date.now() });
+    recordEvent('fire', { ...alarmFields(alarm), muted: quiet.quiet || undefined });
+
+    // `onReset` actions run once per alarm, not again after a snooze or a resume
+    if (!alarm.actionsStarted) {
+      alarm = updateAlarm(alarm.id, { actionsStarted: true }) || alarm;
+      startActions(alarm, config.onReset);
+    }
 
-// ── Alert sounds (notification + chime + voice) ──────────────────────
+    ringing = new AbortController();
+    const handlers = {
+      onDismiss: (via) => dismiss(via),
+      onSnooze: (minutes, via) => snooze(minutes, via),
+      signal: ringing.signal,
+    };
 
-function playAlertSounds() {
-  const platform = os.platform();
+    // The dialog backend shows a persistent dismiss dialog (non-blocking spawn)
+    notify('fire', handlers);
 
-  if (platform === 'darwin') {
-    macOSSounds();
-  } else if (platform === 'linux') {
-    linuxSounds();
-  } else if (platform === 'win32') {
-    windowsSounds();
+    scheduleRepeat(1, handlers);
   }
 
-  sendNtfy();
-}
+  // Repeat while not dismissed (record still ours), escalating as configured
+  function scheduleRepeat(n, handlers) {
+    const policy = repeatPolicy();
+
+    if (n > policy.count) {
+      // Auto-exit after the last repeat regardless
+      repeatTimer = setTimeout(() => process.exit(0), 5000);
+      return;
+    }
 
-// ── Dismiss dialog (persistent, stays on screen until clicked) ───────
+    const delayMs = policy.intervalSeconds * 1000 * policy.backoff ** (n - 1);
+    repeatTimer = setTimeout(async () => {
+      if (!isStillArmed()) return process.exit(0);
+      await notify('repeat', handlers, escalationFor(policy, n), n);
+      if (!handlers.signal.aborted) scheduleRepeat(n + 1, handlers);
+    }, delayMs);
+  }
 
-function showDismissDialog() {
-  const platform = os.platform();
+  function dismiss(via) {
+    // User clicked "Let's go!" (or a remote Dismiss) -- cancel remaining repeats
+    recordEvent('dismiss', { ...alarmFields(alarm), via });
+    if (!String(via).startsWith('sync:')) publishDismissal(config, alarm, via);
+    cleanup();
+    process.exit(0);
+  }
 
-  if (platform === 'darwin') {
-    return macOSDialog();
-  } else if (platform === 'linux') {
-    return linuxDialog();
-  } else if (platform === 'win32') {
-    return windowsDialog();
+  function stopRinging() {
+    if (ringing) ringing.abort();
+    ringing = null;
+    clearTimeout(repeatTimer);
   }
-  return null;
-}
 
-// ── macOS ────────────────────────────────────────────────────────────
-
-function macOSSounds() {
-  // Desktop notification with chime
-  try {
-    execFileSync('osascript', [
-      '-e',
-      'display notification "' +
-        config.displayMessage +
-        '" with title "Claude Credits Renewed" subtitle "Your rate limit has reset" sound name "Glass"',
-    ]);
-  } catch {}
-
-  // Play chime sound
-  try {
-    execFileSync('afplay', ['/System/Library/Sounds/Glass.aiff']);
-  } catch {}
-
-  // Speak the message
-  try {
-    execFileSync('say', ['-v', config.voice || 'Samantha', '-r', String(config.rate || 165), config.spokenMessage]);
-  } catch {}
-}
+  // A ringing alarm rings again after `minutes`; a waiting one is pushed back by them
+  function snooze(minutes, via) {
+    recordEvent('snooze', { ...alarmFields(alarm), via, minutes });
+    const from = alarmFired ? Date.now() : Math.max(targetTime, Date.now());
+    stopRinging();
 
-function macOSDialog() {
-  // Persistent dialog with "Let's go!" button -- stays on screen until clicked
-  try {
-    const proc = spawnChild('osascript', [
-      '-e',
-      'display dialog "' +
-        config.displayMessage +
-        '" with title "Claude Credits Renewed" buttons {"Let\'s go!"} default button "Let\'s go!" with icon note',
-    ]);
-    proc.on('error', () => {});
-    return proc;
-  } catch {}
-  return null;
-}
+    const until = from + Math.round(minutes * 60 * 1000);
+    const snoozes = (alarm.snoozes || 0) + 1;
+    alarm = updateAlarm(alarm.id, { targetTime: until, snoozedUntil: until, snoozes, firedAt: null }) || alarm;
+    schedule(until);
+  }
 
-// ── Linux ────────────────────────────────────────────────────────────
-
-function linuxSounds() {
-  // Desktop notification
-  try {
-    execFileSync('notify-send', ['-u', 'normal', 'Claude Credits Renewed', config.displayMessage]);
-  } catch {}
-
-  // Voice
-  if (config.voice === 'espeak') {
-    try {
-      execFileSync('espeak', ['-s', '150', config.spokenMessage]);
-    } catch {}
-  } else if (config.voice === 'spd-say') {
-    try {
-      execFileSync('spd-say', [config.spokenMessage]);
-    } catch {}
+  function reschedule(time, via) {
+    const from = alarm.targetTime;
+    stopRinging();
+    alarm = updateAlarm(alarm.id, { targetTime: time, firedAt: null, deferredUntil: null, warningsSent: [] }) || alarm;
+    recordEvent('reschedule', { ...alarmFields(alarm), via, from: new Date(from).toISOString() });
+    schedule(time);
   }
 
-  // Notification sound fallback
-  try {
-    execFileSync('paplay', ['/usr/share/sounds/freedesktop/stereo/complete.oga']);
-  } catch {
-    try {
-      execFileSync('aplay', ['/usr/share/sounds/freedesktop/stereo/complete.oga']);
-    } catch {}
+  // ── Control API ────────────────────────────────────────────────────
+
+  function controlState() {
+    const now = Date.now();
+    let state = 'waiting';
+    if (alarmFired) state = 'ringing';
+    else if (alarm.deferredUntil > now) state = 'deferred';
+    else if (alarm.snoozedUntil === alarm.targetTime) state = 'snoozed';
+    const current = readAlarm(alarm.id) || alarm;
+    return { alarm: current, state, firesAt: targetTime, remainingMs: Math.max(0, targetTime - now) };
   }
-}
 
-function linuxDialog() {
-  // Try zenity first, fall back to kdialog
-  const cmds = [
-    { cmd: 'zenity', args: ['--info', '--title=Claude Credits Renewed', '--text=' + config.displayMessage, '--ok-label=Let\'s go!'] },
-    { cmd: 'kdialog', args: ['--msgbox', config.displayMessage, '--title', 'Claude Credits Renewed'] },
-  ];
-
-  for (const { cmd, args } of cmds) {
-    try {
-      execFileSync('which', [cmd], { stdio: 'pipe' });
-      const proc = spawnChild(cmd, args);
-      proc.on('error', () => {}); // Suppress spawn errors
-      return proc;
-    } catch {
-      continue;
+  function withinReach(time) {
+    if (time - Date.now() > MAX_AHEAD_MS) {
+      throw controlError(400, `the alarm can't be moved more than ${MAX_AHEAD_MS / 86400000} days ahead`);
     }
+    return time;
   }
 
-  return null;
-}
+  function positiveMinutes(value, fallback) {
+    const minutes = value === undefined ? fallback : Number(value);
+    if (!(minutes > 0)) throw controlError(400, '"minutes" should be a positive number');
+    return minutes;
+  }
 
-// ── Windows ──────────────────────────────────────────────────────────
+  startControlServer({
+    status: () => controlState(),
+    stop: (body) => {
+      setImmediate(() => dismiss(body.via || 'api')); // After the response is sent
+      return { ...controlState(), state: 'dismissed' };
+    },
+    snooze: (body) => {
+      snooze(positiveMinutes(body.minutes, config.snoozeMinutes), body.via || 'api');
+      return controlState();
+    },
+    extend: (body) => {
+      if (alarmFired) throw controlError(409, 'the alarm is ringing -- snooze it instead');
+      const minutes = positiveMinutes(body.minutes);
+      reschedule(withinReach(alarm.targetTime + Math.round(minutes * 60 * 1000)), body.via || 'api');
+      return controlState();
+    },
+    reschedule: (body) => {
+      const time = typeof body.time === 'number' ? body.time : Date.parse(body.time);
+      if (!(time > Date.now())) throw controlError(400, '"time" should be a future time (epoch ms or ISO 8601)');
+      reschedule(withinReach(time), body.via || 'api');
+      return controlState();
+    },
+  })
+    .then((port) => {
+      alarm = updateAlarm(alarm.id, { controlPort: port }) || alarm;
+    })
+    .catch(() => {}); // Without a port the CLI falls back to the record and signals
+
+  // Dismissed on another machine sharing the sync folder
+  if (config.sync && config.sync.dir) {
+    setInterval(() => {
+      const dismissal = sharedDismissal(config, alarm);
+      if (dismissal) dismiss(`sync:${dismissal.machine}`);
+    }, 30 * 1000).unref();
+  }
 
-function sanitizeForPS(str) {
-  // Remove characters that could break out of PowerShell single-quoted strings
-  return String(str).replace(/'/g, "''").replace(/[`$]/g, '');
+  schedule(targetTime);
 }
 
-function windowsSounds() {
-  const msg = sanitizeForPS(config.spokenMessage);
-  const psScript = `
-    Add-Type -AssemblyName System.Speech
-    $synth = New-Object System.Speech.Synthesis.SpeechSynthesizer
-    $synth.Rate = 0
-    $synth.Speak('${msg}')
-  `.trim();
-
-  try {
-    execFileSync('powershell', ['-NoProfile', '-Command', psScript]);
-  } catch {}
+// ── Repeat policy ────────────────────────────────────────────────────
+//
+//   "repeat": {
+//     "count": 3,              Repeats after the first alarm (0 = none)
+//     "intervalSeconds": 60,   Wait before the first repeat
+//     "backoff": 2,            Each following wait is multiplied by this
+//     "escalate": [            Applied from repeat `at` onwards; later steps add to earlier ones
+//       { "at": 1, "urgency": "critical" },
+//       { "at": 2, "sound": "/path/to/loud.oga", "addNotifiers": ["ntfy"] }
+//     ]
+//   }
+
+function repeatPolicy() {
+  const repeat = config.repeat || {};
+  const number = (value, fallback, min) => {
+    const n = Number(value);
+    return value !== undefined && Number.isFinite(n) && n >= min ? n : fallback;
+  };
+  return {
+    count: Math.floor(number(repeat.count, 1, 0)),
+    intervalSeconds: number(repeat.intervalSeconds, 60, 1),
+    backoff: number(repeat.backoff, 1, 1),
+    escalate: Array.isArray(repeat.escalate) ? repeat.escalate : [],
+  };
 }
 
-function windowsDialog() {
-  const msg = sanitizeForPS(config.displayMessage);
-  const psScript = `
-    Add-Type -AssemblyName PresentationFramework
-    [System.Windows.MessageBox]::Show('${msg}', 'Claude Credits Renewed', 'OK', 'Information')
-  `.trim();
-
-  try {
-    const proc = spawnChild('powershell', ['-NoProfile', '-Command', psScript]);
-    proc.on('error', () => {});
-    return proc;
-  } catch {}
-  return null;
+function escalationFor(policy, n) {
+  const escalation = { notifiers: [...(config.notifiers || DEFAULT_NOTIFIERS)] };
+  const steps = policy.escalate
+    .filter((step) => step && (step.at || 1) <= n)
+    .sort((a, b) => (a.at || 1) - (b.at || 1));
+
+  for (const step of steps) {
+    if (step.urgency) escalation.urgency = step.urgency;
+    if (step.sound) escalation.sound = step.sound;
+    if (Array.isArray(step.addNotifiers)) escalation.notifiers.push(...step.addNotifiers);
+  }
+  return escalation;
 }
 
-// ── ntfy (optional push notification) ───────────────────────────────
+// ── Alerts ───────────────────────────────────────────────────────────
 
-function sendNtfy() {
-  const topic = process.env.NTFY_TOPIC;
-  if (!topic) return;
+// Send the alert through every configured notifier backend
+function notify(kind, handlers = {}, escalation = {}, repeat = 0) {
+  const { urgency, sound } = escalation;
+  let notifiers = escalation.notifiers || config.notifiers || DEFAULT_NOTIFIERS;
 
-  const baseUrl = (process.env.NTFY_URL || 'https://ntfy.sh').replace(/\/+$/, '');
-  const url = new URL(`${baseUrl}/${topic}`);
-  const transport = url.protocol === 'https:' ? https : http;
+  // Test mode runs from the terminal it should ring in
+  const terminal = alarm ? alarm.terminal : captureTerminal(process.pid);
+  if (isHeadless(config.headless, terminal)) notifiers = headlessNotifiers(notifiers);
 
-  const headers = { 'Title': 'Claude Credits Renewed' };
-  if (process.env.NTFY_PRIORITY) headers['Priority'] = process.env.NTFY_PRIORITY;
-  if (process.env.NTFY_TAGS) headers['Tags'] = process.env.NTFY_TAGS;
+  // During quiet hours only the silent channels run
+  const quiet = kind === 'test' ? { quiet: false } : quietState(config.quietHours, Date.now());
+  if (quiet.quiet) {
+    notifiers = notifiers.filter((entry) => {
+      const name = typeof entry === 'string' ? entry : entry && (entry.name || entry.type);
+      return !quiet.muted.includes(name);
+    });
+  }
 
-  const req = transport.request(url, { method: 'POST', headers }, () => {});
-  req.on('error', () => {});
-  req.end('Claude credits renewed. Time to build.');
+  // Which project hit the limit, when the hook knew the working directory
+  const project = alarm && alarm.cwd ? path.basename(alarm.cwd) : null;
+
+  return notifyAll(notifiers, {
+    kind,
+    repeat,
+    silent: quiet.quiet,
+    urgency,
+    sound,
+    project,
+    ...renderAlert(config, { kind, repeat, alarm, project }),
+    config,
+    alarm,
+    terminal,
+    ...handlers,
+  });
 }
@@ -0,0 +1,182 @@
+'use strict';
+
+//
+// Edits to Claude Code's ~/.claude/settings.json, used by setup, uninstall and
+// restore-settings. Claude Code writes the same file, so every edit is a read-modify-write
+// that backs up the current file, writes a temp file and renames it over the original.
+// A file that doesn't parse is never replaced.
+//
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const HOME = os.homedir();
+const CLAUDE_SETTINGS = path.join(HOME, '.claude', 'settings.json');
+
+// Outside ~/.claude-alarm/ so that uninstall leaves them in place
+const BACKUP_DIR = path.join(HOME, '.claude', 'claude-alarm-backups');
+const MAX_BACKUPS = 10;
+
+// Marks the hook and status line commands that belong to claude-alarm
+const HOOK_MARKER = '--claude-alarm-hook';
+const STATUSLINE_MARKER = '--claude-alarm-statusline';
+
+// How often an edit is retried when Claude Code changes the file underneath it
+const MAX_ATTEMPTS = 3;
+
+// ── Reading ──────────────────────────────────────────────────────────
+
+// { text, settings } for the current file. `settings` is null when the file doesn't parse.
+function readSettingsFile() {
+  let text;
+  try {
+    text = fs.readFileSync(CLAUDE_SETTINGS, 'utf8');
+  } catch {
+    return { text: null, settings: {} }; // No file yet
+  }
+  try {
+    const settings = JSON.parse(text);
+    return { text, settings: settings && typeof settings === 'object' ? settings : null };
+  } catch {
+    return { text, settings: null };
+  }
+}
+
+function readSettings() {
+  return readSettingsFile().settings || {};
+}
+
+// ── Ownership ────────────────────────────────────────────────────────
+
+// Commands installed before the markers existed ran the scripts in ~/.claude-alarm/
+const LEGACY_HOOK = /[\\/]\.claude-alarm[\\/]hook-handler\.js/;
+const LEGACY_STATUSLINE = /[\\/]\.claude-alarm[\\/]statusline\.js/;
+
+function isOurHookCommand(command) {
+  return typeof command === 'string' && (command.includes(HOOK_MARKER) || LEGACY_HOOK.test(command));
+}
+
+// A hook entry ({ matcher, hooks: [...] }) that runs one of our commands
+function isOurHookEntry(entry) {
+  return Boolean(entry && Array.isArray(entry.hooks) && entry.hooks.some((h) => h && isOurHookCommand(h.command)));
+}
+
+function isOurStatusLine(statusLine) {
+  const command = statusLine && statusLine.command;
+  return typeof command === 'string' && (command.includes(STATUSLINE_MARKER) || LEGACY_STATUSLINE.test(command));
+}
+
+// ── Writing ──────────────────────────────────────────────────────────
+
+// Write through a symlinked settings.json (dotfile repos) rather than replacing the link,
+// and keep the file's permissions: the temp file would otherwise get the umask default.
+function writeAtomic(file, text) {
+  let target = file;
+  let mode;
+  try {
+    target = fs.realpathSync(file);
+    mode = fs.statSync(target).mode & 0o777;
+  } catch {} // No file yet
+
+  const temp = `${target}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(temp, text, mode === undefined ? {} : { mode });
+    if (mode !== undefined) fs.chmodSync(temp, mode); // The umask may have cleared bits
+    fs.renameSync(temp, target);
+  } catch (err) {
+    try {
+      fs.unlinkSync(temp);
+    } catch {}
+    throw err;
+  }
+}
+
+function backupStamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Copy the current file to the backup dir and drop the oldest beyond MAX_BACKUPS.
+// Settings can hold API keys and tokens, so backups are readable by the user only.
+function backupSettings(text) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true, mode: 0o700 });
+  const file = path.join(BACKUP_DIR, `settings-${backupStamp()}.json`);
+  fs.writeFileSync(file, text, { mode: 0o600 });
+
+  const backups = listBackups();
+  for (const old of backups.slice(MAX_BACKUPS)) {
+    try {
+      fs.unlinkSync(old.file);
+    } catch {}
+  }
+  // Backups made by earlier versions got the umask default
+  for (const kept of backups.slice(0, MAX_BACKUPS)) {
+    try {
+      fs.chmodSync(kept.file, 0o600);
+    } catch {}
+  }
+  return file;
+}
+
+// Apply `edit(settings)` to the settings file. `edit` changes the object in place and
+// returns false when there is nothing to write. Throws when the file doesn't parse, or
+// keeps changing while we edit it.
+// Returns true when the file was written.
+function updateSettings(edit) {
+  for (let attempt = 1; ; attempt++) {
+    const { text, settings } = readSettingsFile();
+    if (!settings) {
+      throw new Error(`${CLAUDE_SETTINGS} is not valid JSON -- fix it or run 'claude-alarm restore-settings'`);
+    }
+    if (edit(settings) === false) return false;
+
+    // Claude Code may have written the file since we read it: start over with its version
+    const current = fs.existsSync(CLAUDE_SETTINGS) ? fs.readFileSync(CLAUDE_SETTINGS, 'utf8') : null;
+    if (current !== text) {
+      if (attempt < MAX_ATTEMPTS) continue;
+      throw new Error(`${CLAUDE_SETTINGS} keeps changing -- close Claude Code and try again`);
+    }
+
+    if (current !== null) backupSettings(current);
+    fs.mkdirSync(path.dirname(CLAUDE_SETTINGS), { recursive: true });
+    writeAtomic(CLAUDE_SETTINGS, JSON.stringify(settings, null, 2) + '\n');
+    return true;
+  }
+}
+
+// ── Backups ──────────────────────────────────────────────────────────
+
+// Newest first, as { name, file, time }
+function listBackups() {
+  let names = [];
+  try {
+    names = fs.readdirSync(BACKUP_DIR).filter((f) => /^settings-.*\.json$/.test(f));
+  } catch {}
+  return names
+    .sort()
+    .reverse()
+    .map((name) => ({ name, file: path.join(BACKUP_DIR, name), time: fs.statSync(path.join(BACKUP_DIR, name)).mtimeMs }));
+}
+
+// Put a backup back in place. The file it replaces is backed up first.
+function restoreBackup(backup) {
+  const text = fs.readFileSync(backup.file, 'utf8');
+  JSON.parse(text); // Never restore something Claude Code can't read
+
+  if (fs.existsSync(CLAUDE_SETTINGS)) backupSettings(fs.readFileSync(CLAUDE_SETTINGS, 'utf8'));
+  fs.mkdirSync(path.dirname(CLAUDE_SETTINGS), { recursive: true });
+  writeAtomic(CLAUDE_SETTINGS, text);
+}
+
+module.exports = {
+  CLAUDE_SETTINGS,
+  BACKUP_DIR,
+  HOOK_MARKER,
+  STATUSLINE_MARKER,
+  readSettings,
+  updateSettings,
+  isOurHookEntry,
+  isOurStatusLine,
+  listBackups,
+  restoreBackup,
+};
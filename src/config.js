@@ -0,0 +1,455 @@
+'use strict';
+
+//
+// ~/.claude-alarm/config.json: schema, loading and saving. Shared by the CLI, the hook
+// handler and the alarm daemon. It lives at ~/.claude-alarm/config.js after setup.
+//
+// The schema lists every key with its type, allowed range and default. Nested settings
+// (ntfy, repeat, quietHours, detection, sync) are addressed with dotted keys, e.g. "repeat.count".
+// Loading never fails: a value that doesn't fit the schema is dropped in favour of the
+// default and reported as a warning, so a typo can't reach `say` or the wait math.
+//
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DEFAULT_NOTIFIERS, backends } = require('./notifiers');
+const { LOCALES } = require('./messages');
+const { ENGINES, PLAYERS } = require('./linux-audio');
+
+const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const optionalTemplate = (description) => ({ type: 'string', description: `${description} (default: the locale's)` });
+
+const SCHEMA = {
+  locale: {
+    type: 'string',
+    enum: ['auto', ...LOCALES],
+    default: 'auto',
+    description: 'Language of notifications and speech ("auto" follows LANG)',
+  },
+  displayMessage: optionalTemplate('Text shown in the notification and dialog'),
+  spokenMessage: optionalTemplate('Text spoken aloud'),
+  messages: {
+    type: 'object',
+    description: 'Templates for the other texts of an alert',
+    properties: {
+      title: optionalTemplate('Notification title'),
+      repeatTitle: optionalTemplate('Notification title of a repeat'),
+      subtitle: optionalTemplate('Secondary line'),
+      push: optionalTemplate('ntfy message'),
+      warningTitle: optionalTemplate('Title of an advance warning'),
+      warning: optionalTemplate('Message of an advance warning'),
+    },
+  },
+  voice: {
+    type: 'string',
+    nullable: true,
+    default: 'Samantha',
+    description: 'macOS voice name (on Linux, see speech)',
+  },
+  rate: { type: 'integer', min: 80, max: 500, default: 165, description: 'Speech rate (words per minute)' },
+  speech: {
+    type: 'object',
+    description: 'Text-to-speech on Linux',
+    properties: {
+      engine: { type: 'string', enum: Object.keys(ENGINES), description: 'Engine (default: the first one installed)' },
+      voice: { type: 'string', description: 'Voice of the engine, e.g. en-us+f3 for espeak' },
+      model: { type: 'string', description: 'piper voice model (.onnx)' },
+      command: { type: 'string', description: 'Shell template for the command engine' },
+      pitch: { type: 'integer', min: 0, max: 100, description: 'Pitch, 50 is normal' },
+      volume: { type: 'integer', min: 0, max: 100, description: 'Volume in percent' },
+      player: { type: 'string', enum: Object.keys(PLAYERS), description: 'Player for engines that write audio files' },
+    },
+  },
+  sound: {
+    type: 'object',
+    description: 'The chime',
+    properties: {
+      file: { type: 'string', description: 'Sound file (default: the system chime)' },
+      player: { type: 'string', enum: Object.keys(PLAYERS), description: 'Linux audio player (default: the first one installed)' },
+      volume: { type: 'integer', min: 0, max: 100, description: 'Volume in percent' },
+      repeat: { type: 'integer', min: 1, max: 20, default: 1, description: 'Times the sound plays' },
+    },
+  },
+  defaultWaitMinutes: {
+    type: 'number',
+    min: 1,
+    max: 7 * 24 * 60,
+    default: 240,
+    description: 'Countdown when the reset time can\'t be detected',
+  },
+  snoozeMinutes: { type: 'number', min: 1, max: 24 * 60, default: 15, description: 'Length of a snooze' },
+  notifiers: {
+    type: 'array',
+    items: { type: 'notifier' },
+    default: DEFAULT_NOTIFIERS,
+    description: 'Alert channels, in order',
+  },
+  headless: {
+    type: 'string',
+    enum: ['auto', 'on', 'off'],
+    default: 'auto',
+    description: 'Ring in the terminal instead of on the desktop ("auto": when there is no graphical session)',
+  },
+  onReset: {
+    type: 'array',
+    items: { type: 'action' },
+    default: [],
+    description: 'Shell commands run when an alarm fires',
+  },
+  scanTranscript: {
+    type: 'boolean',
+    default: false,
+    description: 'Read the reset time from the session transcript when the message lacks it',
+  },
+  savePayloads: { type: 'boolean', default: false, description: 'Keep hook payloads for `claude-alarm replay`' },
+  warnings: {
+    type: 'object',
+    description: 'Heads-ups before the reset',
+    properties: {
+      minutes: {
+        type: 'array',
+        items: { type: 'number', min: 1, max: 24 * 60 },
+        default: [],
+        description: 'Lead times in minutes, e.g. [15, 5]',
+      },
+      notifiers: {
+        type: 'array',
+        items: { type: 'notifier' },
+        default: ['desktop'],
+        description: 'Alert channels of a warning',
+      },
+    },
+  },
+  repeat: {
+    type: 'object',
+    description: 'What happens when nobody dismisses the alarm',
+    properties: {
+      count: { type: 'integer', min: 0, max: 50, default: 1, description: 'Repeats after the first alert' },
+      intervalSeconds: { type: 'number', min: 1, max: 24 * 3600, default: 60, description: 'Wait before the first repeat' },
+      backoff: { type: 'number', min: 1, max: 10, default: 1, description: 'Multiplier for each following wait' },
+      escalate: { type: 'array', items: { type: 'object' }, default: [], description: 'Escalation steps' },
+    },
+  },
+  quietHours: {
+    type: 'object',
+    description: 'Mute or defer alarms at night',
+    properties: {
+      timezone: { type: 'string', description: 'IANA timezone of the windows' },
+      mode: { type: 'string', enum: ['mute', 'defer'], default: 'mute', description: 'mute or defer' },
+      muteNotifiers: { ...stringList, default: ['voice', 'chime'], description: 'Backends muted in quiet hours' },
+      windows: { type: 'array', items: { type: 'object' }, default: [], description: 'Quiet periods' },
+      enabled: { type: 'boolean', default: true, description: 'Set to false to switch quiet hours off' },
+    },
+  },
+  ntfy: {
+    type: 'object',
+    description: 'Push notifications via ntfy',
+    properties: {
+      topic: { type: 'string', description: 'Topic to publish to' },
+      url: { type: 'string', default: 'https://ntfy.sh', description: 'Server URL' },
+      token: { type: 'string', secret: true, description: 'Access token' },
+      username: { type: 'string', description: 'Basic auth user' },
+      password: { type: 'string', secret: true, description: 'Basic auth password' },
+      priority: { type: ['string', 'integer'], description: 'ntfy priority' },
+      tags: { type: ['string', 'array'], description: 'ntfy tags' },
+      actions: { type: 'boolean', default: true, description: 'Dismiss and Snooze buttons' },
+      snoozeMinutes: { type: 'number', min: 1, max: 24 * 60, description: 'Length of the Snooze button' },
+      controlTopic: { type: 'string', description: 'Topic the buttons publish to' },
+      controlToken: { type: 'string', secret: true, description: 'Token the buttons send (write access to controlTopic only)' },
+    },
+  },
+  detection: {
+    type: 'object',
+    description: 'What counts as a rate limit',
+    properties: {
+      disabledEvents: { ...stringList, description: 'Hook events to ignore' },
+      exclude: { ...stringList, description: 'Patterns that cancel any match' },
+      excludeTools: { ...stringList, description: 'Tools whose failures are ignored' },
+      rules: { type: 'array', description: 'Detection rules ("builtin" for the defaults)' },
+    },
+  },
+  sync: {
+    type: 'object',
+    description: 'Share alarms with other machines through a synced folder',
+    properties: {
+      dir: { type: 'string', description: 'Shared folder, e.g. ~/Sync/claude-alarm' },
+      machine: { type: 'string', description: 'Name of this machine there (default: the hostname)' },
+    },
+  },
+  statusLine: { type: 'object', internal: true, description: 'Status line setup (managed by setup)' },
+};
+
+// ── Schema lookups ───────────────────────────────────────────────────
+
+// Schema entry for a dotted key, or null
+function schemaFor(key) {
+  let entry = null;
+  let properties = SCHEMA;
+  for (const part of key.split('.')) {
+    entry = properties && Object.prototype.hasOwnProperty.call(properties, part) ? properties[part] : null;
+    if (!entry) return null;
+    properties = entry.properties;
+  }
+  return entry;
+}
+
+// Every leaf key, dotted, in schema order
+function schemaKeys(properties = SCHEMA, prefix = '') {
+  const keys = [];
+  for (const [name, entry] of Object.entries(properties)) {
+    if (entry.internal) continue;
+    if (entry.properties) keys.push(...schemaKeys(entry.properties, `${prefix}${name}.`));
+    else keys.push(prefix + name);
+  }
+  return keys;
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  let target = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+// Remove a key, and any object left empty by it
+function unsetPath(object, key) {
+  const parts = key.split('.');
+  const parents = [object];
+  for (const part of parts.slice(0, -1)) {
+    const next = parents[parents.length - 1][part];
+    if (!next || typeof next !== 'object') return;
+    parents.push(next);
+  }
+  delete parents[parents.length - 1][parts[parts.length - 1]];
+  for (let i = parents.length - 1; i > 0; i--) {
+    if (Object.keys(parents[i]).length > 0) break;
+    delete parents[i - 1][parts[i - 1]];
+  }
+}
+
+// ── Validation ───────────────────────────────────────────────────────
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'notifier': {
+      const name = typeof value === 'string' ? value : value && typeof value === 'object' ? value.type : null;
+      if (name === 'module') return typeof value.path === 'string' && value.path !== ''; // A custom backend
+      return Boolean(name && backends[name]);
+    }
+    case 'action': {
+      // A command, or { command, name, cwd, timeoutSeconds }
+      if (typeof value === 'string') return value.trim() !== '';
+      if (!value || typeof value !== 'object' || typeof value.command !== 'string' || !value.command.trim()) return false;
+      const { name, cwd, timeoutSeconds } = value;
+      return (
+        [name, cwd].every((v) => v === undefined || typeof v === 'string') &&
+        (timeoutSeconds === undefined || (typeof timeoutSeconds === 'number' && timeoutSeconds > 0))
+      );
+    }
+    default:
+      return false;
+  }
+}
+
+function describeType(entry) {
+  const types = Array.isArray(entry.type) ? entry.type : [entry.type];
+  const names = { integer: 'a whole number', notifier: 'a notifier', action: 'a command or { command, cwd, timeoutSeconds }' };
+  const text = types.map((t) => names[t] || `a ${t}`);
+  return text.join(' or ');
+}
+
+// Why `value` doesn't fit `entry`, or null when it does
+function valueProblem(entry, value) {
+  if (value === null && entry.nullable) return null;
+  const types = Array.isArray(entry.type) ? entry.type : [entry.type];
+  if (!types.some((type) => typeMatches(type, value))) {
+    if (entry.type === 'notifier') return `unknown notifier ${JSON.stringify(value)} (known: ${Object.keys(backends).join(', ')}, or a module with a path)`;
+    return `should be ${describeType(entry)}, not ${JSON.stringify(value)}`;
+  }
+  if (typeof value === 'number') {
+    if (entry.min !== undefined && value < entry.min) return `should be at least ${entry.min}, not ${value}`;
+    if (entry.max !== undefined && value > entry.max) return `should be at most ${entry.max}, not ${value}`;
+  }
+  if (entry.enum && !entry.enum.includes(value)) {
+    return `should be one of ${entry.enum.join(', ')}, not ${JSON.stringify(value)}`;
+  }
+  if (Array.isArray(value) && entry.items) {
+    for (const [index, item] of value.entries()) {
+      const problem = valueProblem(entry.items, item);
+      if (problem) return `item ${index + 1} ${problem}`;
+    }
+  }
+  return null;
+}
+
+// Closest schema key to a typo, for "did you mean"
+function suggestKey(key, properties) {
+  const lower = key.toLowerCase();
+  return Object.keys(properties).find((name) => {
+    const other = name.toLowerCase();
+    return other.startsWith(lower.slice(0, 4)) || lower.startsWith(other.slice(0, 4));
+  });
+}
+
+// Problems as [{ key, message }]. `fix` removes the offending values from `config`.
+function validateConfig(config, { fix = false } = {}) {
+  const problems = [];
+
+  const walk = (object, properties, prefix) => {
+    for (const key of Object.keys(object)) {
+      const entry = properties[key];
+      const dotted = prefix + key;
+      if (!entry) {
+        const suggestion = suggestKey(key, properties);
+        problems.push({
+          key: dotted,
+          message: `unknown key${suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : ''}`,
+        });
+        continue;
+      }
+      const problem = valueProblem(entry, object[key]);
+      if (problem) {
+        problems.push({ key: dotted, message: problem });
+        if (fix) delete object[key];
+      } else if (entry.properties) {
+        walk(object[key], entry.properties, `${dotted}.`);
+      }
+    }
+  };
+
+  if (config && typeof config === 'object') walk(config, SCHEMA, '');
+  return problems;
+}
+
+function formatProblem(problem) {
+  return `${problem.key}: ${problem.message}`;
+}
+
+// ── Loading and saving ───────────────────────────────────────────────
+
+// `saved` over the defaults. An object the file sets keeps the defaults of the keys it
+// leaves out, so `"repeat": { "count": 3 }` still repeats every 60 seconds.
+function withDefaults(saved, properties = SCHEMA) {
+  const config = {};
+  for (const [key, entry] of Object.entries(properties)) {
+    if (entry.default !== undefined) config[key] = JSON.parse(JSON.stringify(entry.default));
+  }
+  for (const [key, value] of Object.entries(saved)) {
+    const entry = Object.prototype.hasOwnProperty.call(properties, key) ? properties[key] : null;
+    config[key] = entry && entry.properties && typeMatches('object', value) ? withDefaults(value, entry.properties) : value;
+  }
+  return config;
+}
+
+function defaults() {
+  return withDefaults({});
+}
+
+// The saved file as-is ({} when missing). Throws when it isn't valid JSON.
+function readConfigFile() {
+  let text;
+  try {
+    text = fs.readFileSync(CONFIG_FILE, 'utf8');
+  } catch {
+    return {};
+  }
+  return JSON.parse(text);
+}
+
+// Defaults overlaid with the saved file, minus anything invalid.
+// Returns { config, warnings } -- warnings are strings, ready to print.
+function loadConfig() {
+  let saved = {};
+  try {
+    saved = readConfigFile();
+  } catch (err) {
+    return { config: defaults(), warnings: [`${CONFIG_FILE} is not valid JSON (${err.message}) -- using defaults`] };
+  }
+
+  const problems = validateConfig(saved, { fix: true });
+  const warnings = problems.map((p) => `config.json ${formatProblem(p)}${schemaFor(p.key) ? ' -- using the default' : ''}`);
+  return { config: withDefaults(saved), warnings };
+}
+
+// Written under a temporary name and renamed into place, like the alarm records: the hook
+// and the daemons read the file at any time. Readable by the user only, as it can hold ntfy
+// credentials.
+function writeConfigFile(config) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  const temp = `${CONFIG_FILE}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(temp, JSON.stringify(config, null, 2), { mode: 0o600 });
+    fs.renameSync(temp, CONFIG_FILE);
+  } catch (err) {
+    try {
+      fs.unlinkSync(temp);
+    } catch {}
+    throw err;
+  }
+}
+
+// Turn command-line text into a value of the key's type
+function parseValue(key, text) {
+  const entry = schemaFor(key);
+  const types = Array.isArray(entry.type) ? entry.type : [entry.type];
+
+  if (text === 'null' && entry.nullable) return null;
+  if (types.includes('boolean')) {
+    if (/^(true|yes|on|1)$/i.test(text)) return true;
+    if (/^(false|no|off|0)$/i.test(text)) return false;
+  }
+  if ((types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?$/.test(text.trim())) {
+    return Number(text);
+  }
+  if (types.includes('array') || types.includes('object')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      // A comma-separated list is fine for lists of names
+      if (types.includes('array')) return text.split(',').map((s) => s.trim()).filter(Boolean);
+    }
+  }
+  return text;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  SCHEMA,
+  schemaFor,
+  schemaKeys,
+  getPath,
+  setPath,
+  unsetPath,
+  valueProblem,
+  validateConfig,
+  formatProblem,
+  defaults,
+  readConfigFile,
+  loadConfig,
+  writeConfigFile,
+  parseValue,
+};
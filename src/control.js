@@ -0,0 +1,178 @@
+'use strict';
+
+//
+// Local control API of the alarm daemon. Each daemon listens on a loopback HTTP port,
+// recorded as `controlPort` in its alarm record, and answers requests that carry the
+// token from ~/.claude-alarm/control-token (readable by the user only):
+//
+//   GET  /status                           The alarm as the daemon sees it
+//   POST /stop                             Dismiss the alarm
+//   POST /snooze      { "minutes": 15 }    Ring again later; a waiting alarm is pushed back
+//   POST /extend      { "minutes": 30 }    Move a waiting alarm later
+//   POST /reschedule  { "time": "..." }    Fire at another time (epoch ms or ISO 8601)
+//
+//   curl -H "Authorization: Bearer $(cat ~/.claude-alarm/control-token)" \
+//        http://127.0.0.1:<controlPort>/status
+//
+// Every response is JSON: { ok: true, alarm, state } or { ok: false, error }. POST bodies
+// may add "via" (who asked, for the history). The CLI uses the API and falls back to the
+// record and signals when a daemon doesn't answer (older daemons have no port).
+// It lives at ~/.claude-alarm/control.js after setup.
+//
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
+const TOKEN_FILE = path.join(CONFIG_DIR, 'control-token');
+
+// Long enough for a daemon that is busy speaking, short enough for an interactive command
+const REQUEST_TIMEOUT_MS = 3000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+// ── Token ────────────────────────────────────────────────────────────
+
+function controlToken() {
+  try {
+    const token = fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+    if (token) return token;
+  } catch {}
+
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  try {
+    fs.writeFileSync(TOKEN_FILE, token + '\n', { mode: 0o600, flag: 'wx' });
+    return token;
+  } catch {
+    // Another process created it first
+    return fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+  }
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ── Server ───────────────────────────────────────────────────────────
+
+// An error for handlers to throw, answered with `status`, e.g. 409 for "already ringing"
+function controlError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const ROUTES = {
+  'GET /status': 'status',
+  'POST /stop': 'stop',
+  'POST /snooze': 'snooze',
+  'POST /extend': 'extend',
+  'POST /reschedule': 'reschedule',
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(controlError(413, 'body too large'));
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        const parsed = JSON.parse(body);
+        resolve(parsed && typeof parsed === 'object' ? parsed : {});
+      } catch {
+        reject(controlError(400, 'body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serve `handlers` ({ status, stop, snooze, extend, reschedule }, each taking the request
+// body and returning the response, or a promise of it) on a loopback port.
+// Resolves to the port.
+function startControlServer(handlers) {
+  const token = controlToken();
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    // Only local clients that name the loopback address: a web page can't reach us
+    // through a rebound DNS name
+    const host = String(req.headers.host || '').replace(/:\d+$/, '');
+    if (host !== '127.0.0.1' && host !== 'localhost') return reply(403, { ok: false, error: 'forbidden host' });
+
+    const auth = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!tokensMatch(auth, token)) return reply(401, { ok: false, error: 'missing or wrong token' });
+
+    const action = ROUTES[`${req.method} ${req.url.split('?')[0]}`];
+    if (!action) return reply(404, { ok: false, error: `no such endpoint: ${req.method} ${req.url}` });
+
+    try {
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      reply(200, { ok: true, ...(await handlers[action](body)) });
+    } catch (err) {
+      reply(err.status || 500, { ok: false, error: err.message });
+    }
+  });
+
+  // The daemon's timers decide when it exits, not the server
+  server.unref();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+// ── Client ───────────────────────────────────────────────────────────
+
+// Send `action` to the alarm's daemon. Resolves to the response body; rejects when the
+// alarm has no control port, the daemon doesn't answer, or it refuses the request.
+function controlRequest(alarm, action, body = {}) {
+  if (!alarm || !alarm.controlPort) return Promise.reject(new Error('no control port'));
+  const method = action === 'status' ? 'GET' : 'POST';
+  const payload = method === 'POST' ? JSON.stringify(body) : undefined;
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: alarm.controlPort,
+        path: `/${action}`,
+        method,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: { Authorization: `Bearer ${controlToken()}`, 'Content-Type': 'application/json' },
+      },
+      (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (text += chunk));
+        res.on('end', () => {
+          let response;
+          try {
+            response = JSON.parse(text);
+          } catch {
+            return reject(new Error(`invalid response from the daemon (HTTP ${res.statusCode})`));
+          }
+          if (response.ok) resolve(response);
+          else reject(controlError(res.statusCode, response.error));
+        });
+      }
+    );
+    req.on('timeout', () => req.destroy(new Error('the daemon did not answer')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { TOKEN_FILE, controlError, controlToken, startControlServer, controlRequest };
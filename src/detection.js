@@ -0,0 +1,206 @@
+'use strict';
+
+//
+// Rate limit detection for the hook handler. `config.detection` decides which hook
+// events and fields count as a rate limit:
+//
+//   "detection": {
+//     "disabledEvents": ["PostToolUseFailure"],
+//     "exclude": ["my-internal-api"],
+//     "excludeTools": ["mcp__.*"],
+//     "rules": [
+//       "builtin",
+//       { "name": "gateway", "include": ["upstream quota"], "events": ["PostToolUseFailure"],
+//         "fields": ["error"], "tools": ["Bash", "WebFetch"], "exclude": ["staging"] }
+//     ]
+//   }
+//
+// A rule matches when one of its `include` patterns matches and none of its `exclude`
+// patterns do. Patterns are case-insensitive regular expressions. `events` and `fields`
+// limit where a rule looks (default: every event; message, title and error). For
+// PostToolUseFailure, `tools` and `excludeTools` filter on the failing tool's name, which
+// has to match a pattern in full. `rules` replaces the built-in rule unless it lists
+// "builtin". The top-level `exclude` and `excludeTools` apply to every rule, and
+// `disabledEvents` turns detection off for whole events.
+// It lives at ~/.claude-alarm/detection.js after setup.
+//
+
+const { parseResetTime } = require('./reset-time');
+const { findLimitEntry } = require('./transcript');
+
+// Only fields that come directly from Claude Code -- never conversation content.
+// Notification provides message and title, PostToolUseFailure provides error.
+const DEFAULT_FIELDS = ['message', 'title', 'error'];
+
+const BUILTIN_RULE = {
+  name: 'builtin',
+  include: [
+    'rate.?limit',
+    'usage.?limit',
+    'limit.?reached',
+    'limit.?exceeded',
+    'too.?many.?requests',
+    '\\b429\\b',
+    'cooldown.?period',
+    'quota.?exceeded',
+    'token.?limit.?reached',
+    'capacity.?limit',
+    'over.?capacity',
+  ],
+};
+
+// Invalid patterns are skipped rather than breaking detection for every other rule
+function compile(patterns) {
+  const list = Array.isArray(patterns) ? patterns : patterns ? [patterns] : [];
+  const compiled = [];
+  for (const pattern of list) {
+    try {
+      compiled.push(new RegExp(pattern, 'i'));
+    } catch {}
+  }
+  return compiled;
+}
+
+function detectionRules(detection) {
+  const rules = Array.isArray(detection.rules) ? detection.rules : ['builtin'];
+  return rules
+    .map((rule) => (rule === 'builtin' ? BUILTIN_RULE : rule))
+    .filter((rule) => rule && typeof rule === 'object');
+}
+
+function toolMatches(patterns, toolName) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return compile(list.map((tool) => `^(?:${tool})$`)).some((p) => p.test(toolName || ''));
+}
+
+// Why a rule doesn't apply to this event, or null when it does
+function skipReason(rule, hookEvent, toolName, detection) {
+  if (Array.isArray(rule.events) && !rule.events.includes(hookEvent)) return `${hookEvent} is not in its events`;
+  if (hookEvent !== 'PostToolUseFailure') return null;
+  if (rule.tools && !toolMatches(rule.tools, toolName)) return `tool ${toolName || '(none)'} is not in its tools`;
+  if ([detection.excludeTools, rule.excludeTools].some((tools) => tools && toolMatches(tools, toolName))) {
+    return `tool ${toolName} is excluded`;
+  }
+  return null;
+}
+
+// Returns { rule, text, fields, pattern } for the first rule that matches the hook
+// payload, or null. `text` is what the rule looked at, for reset-time parsing and `status`.
+// Pass an array as `trace` to collect one line per rule saying why it did or didn't match.
+function detectRateLimit(data, hookEvent, detection, trace = []) {
+  detection = detection || {};
+  if (Array.isArray(detection.disabledEvents) && detection.disabledEvents.includes(hookEvent)) {
+    trace.push(`${hookEvent} is in detection.disabledEvents`);
+    return null;
+  }
+  const globalExclude = compile(detection.exclude);
+
+  for (const [index, rule] of detectionRules(detection).entries()) {
+    const name = rule.name || `rule ${index + 1}`;
+    const skip = skipReason(rule, hookEvent, data.tool_name, detection);
+    if (skip) {
+      trace.push(`${name}: skipped, ${skip}`);
+      continue;
+    }
+
+    const fields = (Array.isArray(rule.fields) ? rule.fields : DEFAULT_FIELDS).filter(
+      (field) => typeof data[field] === 'string' && data[field]
+    );
+    const text = fields.map((field) => data[field]).join(' ');
+    if (!text) {
+      trace.push(`${name}: no text in ${(rule.fields || DEFAULT_FIELDS).join(', ')}`);
+      continue;
+    }
+
+    const pattern = compile(rule.include).find((p) => p.test(text));
+    if (!pattern) {
+      trace.push(`${name}: no include pattern matched ${fields.join(', ')}`);
+      continue;
+    }
+    const excluded = [...globalExclude, ...compile(rule.exclude)].find((p) => p.test(text));
+    if (excluded) {
+      trace.push(`${name}: ${pattern} matched, but ${excluded} excluded it`);
+      continue;
+    }
+
+    trace.push(`${name}: ${pattern} matched ${fields.join(', ')}`);
+    return { rule: name, text, fields, pattern: String(pattern) };
+  }
+  return null;
+}
+
+// Whether transcript text looks like a rate limit: any rule's include patterns, minus
+// the global excludes. Event, field and tool filters don't apply to transcript entries.
+function isLimitText(text, detection) {
+  detection = detection || {};
+  const rules = detectionRules(detection);
+  return (
+    rules.some((rule) => compile(rule.include).some((p) => p.test(text))) &&
+    !compile(detection.exclude).some((p) => p.test(text))
+  );
+}
+
+// Which limit was hit decides which alarm the event belongs to.
+// Only the weekly limit resets more than a day out.
+function classifyLimit(text, reset, now) {
+  if (/week(ly)?|7.?day/i.test(text) || (reset && reset.time - now > 24 * 3600 * 1000)) {
+    return { id: 'weekly-limit', label: 'Weekly limit' };
+  }
+  return { id: 'usage-limit', label: 'Usage limit' };
+}
+
+// Everything the hook decides about a payload, without side effects. Used by the hook
+// handler and by `claude-alarm replay`. Returns null when the payload isn't a rate limit,
+// otherwise { hookEvent, detected, reset, limit, existing, transcript, sessionId, cwd,
+// targetTime, resetRule, resetMatch, resetZone, resetFrom }.
+function analyzeHook(data, config, { now = Date.now(), alarms = [], trace = [] } = {}) {
+  const hookEvent = data.hook_event_name || (data.error ? 'PostToolUseFailure' : 'Notification');
+  const detected = detectRateLimit(data, hookEvent, config.detection, trace);
+  if (!detected) return null;
+
+  // A vague message ("usage limit reached") can be completed from the session transcript
+  let transcript = null;
+  if (config.scanTranscript && data.transcript_path) {
+    transcript = findLimitEntry(data.transcript_path, (text) => isLimitText(text, config.detection), { now });
+    trace.push(transcript ? `transcript: found "${transcript.text.slice(0, 120)}"` : 'transcript: no limit entry');
+  }
+
+  // When the limit resets, and which rule of the parser found it
+  let reset = parseResetTime(detected.text, now);
+  if (!reset && transcript) {
+    reset = parseResetTime(transcript.text, now);
+    if (reset) reset.from = 'transcript';
+  }
+  const limit = classifyLimit(transcript ? `${detected.text} ${transcript.text}` : detected.text, reset, now);
+
+  // Each kind of limit has one alarm. A new event for the same limit updates it.
+  const existing = alarms.find((a) => a.id === limit.id) || null;
+  const decision = {
+    hookEvent,
+    detected,
+    reset,
+    limit,
+    existing,
+    transcript,
+    sessionId: data.session_id || (transcript && transcript.sessionId),
+    cwd: data.cwd || (transcript && transcript.cwd),
+    targetTime: reset ? reset.time : now + Math.round((config.defaultWaitMinutes || 240) * 60 * 1000),
+    resetRule: reset ? reset.rule : 'default',
+    resetMatch: reset ? reset.match : null,
+    resetZone: reset ? reset.timezone : null,
+    resetFrom: reset ? reset.from : undefined,
+  };
+
+  if (!reset && existing && existing.targetTime > now) {
+    // Keep a precise reset time rather than replacing it with the fallback
+    decision.targetTime = existing.targetTime;
+    decision.resetRule = existing.resetRule;
+    decision.resetMatch = existing.resetMatch;
+    decision.resetZone = existing.resetZone;
+    decision.resetFrom = existing.resetFrom;
+    decision.keptExisting = true;
+  }
+  return decision;
+}
+
+module.exports = { BUILTIN_RULE, detectRateLimit, analyzeHook };
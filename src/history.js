@@ -0,0 +1,131 @@
+'use strict';
+
+//
+// Event history: one JSON line per rate-limit detection, arm, warn, fire, dismiss, snooze,
+// reschedule or onReset action, appended to ~/.claude-alarm/history.jsonl. Read back by `claude-alarm history`.
+// It lives at ~/.claude-alarm/history.js after setup.
+//
+// Every line has `time` (ISO) and `event`, plus whatever is known at that point:
+//   alarmId, label, source, hookEvent, sessionId, cwd, matchedText, resetTime (ISO),
+//   resetRule (which rule of the reset-time parser read resetTime, or "default"),
+//   detectRule (which detection rule matched), toolName (PostToolUseFailure),
+//   transcriptText and resetFrom ("transcript") when the reset time came from the transcript,
+//   updated (an arm that moved an existing alarm), via (dialog, ntfy, cli, api, sync:<machine>), minutes (snooze),
+//   from (ISO: the time a reschedule moved the alarm from), minutesLeft (warn),
+//   action, exitCode, signal, timedOut, error and durationMs (action)
+//
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
+const HISTORY_FILE = path.join(CONFIG_DIR, 'history.jsonl');
+
+// Same cap as the alarm records -- enough to recognise the message
+const MAX_MATCHED_TEXT = 300;
+
+function recordEvent(event, fields = {}) {
+  const entry = { time: new Date().toISOString(), event };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    entry[key] = key === 'resetTime' && typeof value === 'number' ? new Date(value).toISOString() : value;
+  }
+  for (const key of ['matchedText', 'transcriptText']) {
+    if (entry[key]) entry[key] = String(entry[key]).slice(0, MAX_MATCHED_TEXT);
+  }
+
+  // History is best-effort: it must never break the hook or the daemon
+  try {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + '\n');
+  } catch {}
+}
+
+// History fields that describe an alarm record
+function alarmFields(alarm) {
+  if (!alarm) return {};
+  return {
+    alarmId: alarm.id,
+    label: alarm.label,
+    source: alarm.source,
+    sessionId: alarm.sessionId,
+    cwd: alarm.cwd,
+    resetTime: alarm.targetTime,
+    resetRule: alarm.resetRule,
+  };
+}
+
+function readHistory() {
+  let text = '';
+  try {
+    text = fs.readFileSync(HISTORY_FILE, 'utf8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {} // Skip a line cut short by a crash
+  }
+  return entries;
+}
+
+// ── Summary ──────────────────────────────────────────────────────────
+
+function periodKey(time, by) {
+  const date = new Date(time);
+  if (by === 'week') {
+    // Monday of that week
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return `week of ${localDate(monday)}`;
+  }
+  return localDate(date);
+}
+
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A "limit hit" is a hook arming a new alarm; updates to an alarm already pending don't count.
+function summarizeHistory(entries, by = 'day') {
+  const hits = entries.filter((e) => e.event === 'arm' && e.hookEvent && !e.updated);
+
+  const perPeriod = new Map();
+  const perProject = new Map();
+  let lockoutTotal = 0;
+  let lockoutCount = 0;
+
+  for (const hit of hits) {
+    const key = periodKey(hit.time, by);
+    perPeriod.set(key, (perPeriod.get(key) || 0) + 1);
+
+    if (hit.cwd) {
+      const project = path.basename(hit.cwd);
+      perProject.set(project, (perProject.get(project) || 0) + 1);
+    }
+
+    const lockout = Date.parse(hit.resetTime) - Date.parse(hit.time);
+    if (lockout > 0) {
+      lockoutTotal += lockout;
+      lockoutCount++;
+    }
+  }
+
+  return {
+    limitsHit: hits.length,
+    perPeriod: [...perPeriod.entries()],
+    averageLockoutMinutes: lockoutCount ? lockoutTotal / lockoutCount / 60000 : null,
+    projects: [...perProject.entries()].sort((a, b) => b[1] - a[1]),
+    fired: entries.filter((e) => e.event === 'fire').length,
+    dismissed: entries.filter((e) => e.event === 'dismiss').length,
+    snoozed: entries.filter((e) => e.event === 'snooze').length,
+  };
+}
+
+module.exports = { HISTORY_FILE, recordEvent, alarmFields, readHistory, summarizeHistory };
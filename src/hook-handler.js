@@ -3,18 +3,25 @@
 
 //
 // This script is called by Claude Code hooks (Notification, PostToolUseFailure).
-// It reads JSON from stdin, checks for rate limit indicators, and spawns the alarm daemon.
+// It reads JSON from stdin, checks for rate limit indicators, and arms (or updates) an alarm.
 // It lives at ~/.claude-alarm/hook-handler.js after setup.
 //
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { listAlarms, armAlarm, updateAlarm, isAlarmRunning } = require('./state');
+const { recordEvent, alarmFields } = require('./history');
+const { analyzeHook } = require('./detection');
+const { loadConfig } = require('./config');
+const { captureTerminal } = require('./terminal');
+const { syncSettings, publishAlarm } = require('./sync');
 
 const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
-const PID_FILE = path.join(CONFIG_DIR, 'alarm.pid');
-const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+
+// Raw hook input, kept when `savePayloads` is on
+const PAYLOADS_DIR = path.join(CONFIG_DIR, 'payloads');
+const MAX_SAVED_PAYLOADS = 100;
 
 // Safety: exit after 8 seconds no matter what (hook timeout is 10s)
 setTimeout(() => process.exit(0), 8000);
@@ -32,116 +39,77 @@ process.stdin.on('end', () => {
 });
 
 function handleHook(data) {
-  // Only check fields that come directly from Claude Code -- never conversation content
-  // Notification hook provides: message, title
-  // PostToolUseFailure hook provides: error
-  const searchText = [data.message, data.title, data.error].filter(Boolean).join(' ');
+  // Warnings go to stderr, which Claude Code shows in verbose mode
+  const { config, warnings } = loadConfig();
+  for (const warning of warnings) console.error(`claude-alarm: ${warning}`);
 
-  if (!matchesRateLimit(searchText)) {
-    return process.exit(0);
-  }
+  if (config.savePayloads) savePayload(data);
 
-  // Don't spawn a second alarm if one is already running
-  if (fs.existsSync(PID_FILE)) {
-    try {
-      const pid = parseInt(fs.readFileSync(PID_FILE, 'utf8').trim());
-      process.kill(pid, 0); // Throws if process doesn't exist
-      return process.exit(0);
-    } catch {
-      // Stale PID file, remove and continue
-      try {
-        fs.unlinkSync(PID_FILE);
-      } catch {}
-    }
+  const now = Date.now();
+  const decision = analyzeHook(data, config, { now, alarms: listAlarms() });
+  if (!decision) {
+    return process.exit(0);
   }
 
-  // Extract how long to wait (in minutes)
-  const resetMinutes = extractResetTime(searchText);
-
-  // Fall back to config default
-  let defaultWait = 240;
-  try {
-    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-    defaultWait = config.defaultWaitMinutes || 240;
-  } catch {}
-
-  const waitMinutes = resetMinutes || defaultWait;
-
-  // Spawn the alarm daemon as a fully detached background process
-  const daemon = spawn('node', [path.join(CONFIG_DIR, 'alarm-daemon.js'), String(waitMinutes)], {
-    detached: true,
-    stdio: 'ignore',
+  const { hookEvent, detected, limit, existing, sessionId, cwd, targetTime } = decision;
+  const { resetRule, resetMatch, resetZone, resetFrom } = decision;
+  recordEvent('detect', {
+    hookEvent,
+    detectRule: detected.rule,
+    toolName: data.tool_name,
+    sessionId,
+    cwd,
+    matchedText: detected.text,
+    transcriptText: decision.transcript ? decision.transcript.text : undefined,
+    resetTime: targetTime,
+    resetRule,
+    resetFrom,
   });
-  daemon.unref();
-
-  process.exit(0);
-}
 
-function matchesRateLimit(text) {
-  if (!text) return false;
+  const fields = {
+    id: limit.id,
+    label: limit.label,
+    source: hookEvent,
+    matchedText: detected.text,
+    sessionId,
+    cwd,
+    armedAt: existing ? existing.armedAt : now,
+    updatedAt: existing ? now : undefined,
+    targetTime,
+    // Warnings already given for this reset time stay given
+    warningsSent: existing && existing.targetTime === targetTime ? existing.warningsSent : undefined,
+    resetRule,
+    resetMatch,
+    resetZone,
+    resetFrom,
+    // Where to ring when there is no desktop to notify (SSH, remote dev boxes)
+    terminal: captureTerminal(),
+    // The reset time other machines know this alarm by; targetTime moves with snoozes
+    syncReset: syncSettings(config) ? targetTime : undefined,
+  };
+
+  // The same limit message comes back with every failed tool call: while the target stays
+  // put, the running daemon keeps going (with its snoozes, or ringing) and only the record
+  // is refreshed. Otherwise armAlarm spawns a fully detached daemon, replacing the old one.
+  const unchanged = existing && existing.targetTime === targetTime && isAlarmRunning(existing);
+  const alarm = (unchanged && updateAlarm(limit.id, fields)) || armAlarm(fields);
+  recordEvent('arm', { ...alarmFields(alarm), hookEvent, updated: existing ? true : undefined });
+  publishAlarm(config, alarm);
 
-  const rateLimitPatterns = [
-    /rate.?limit/i,
-    /usage.?limit/i,
-    /limit.?reached/i,
-    /limit.?exceeded/i,
-    /too.?many.?requests/i,
-    /\b429\b/,
-    /cooldown.?period/i,
-    /quota.?exceeded/i,
-    /token.?limit.?reached/i,
-    /capacity.?limit/i,
-    /over.?capacity/i,
-  ];
-
-  return rateLimitPatterns.some((p) => p.test(text));
+  process.exit(0);
 }
 
-function extractResetTime(text) {
-  let match;
-
-  // "in X hours" / "in X.5 hours"
-  match = text.match(/in\s+(\d+\.?\d*)\s*hours?/i);
-  if (match) return Math.ceil(parseFloat(match[1]) * 60);
-
-  // "in X minutes"
-  match = text.match(/in\s+(\d+)\s*minutes?/i);
-  if (match) return parseInt(match[1]);
-
-  // "in X seconds"
-  match = text.match(/in\s+(\d+)\s*seconds?/i);
-  if (match) return Math.max(0.5, parseFloat(match[1]) / 60);
-
-  // "retry-after: X" (seconds)
-  match = text.match(/retry.?after[\s:]+(\d+)/i);
-  if (match) return Math.max(1, Math.ceil(parseInt(match[1]) / 60));
-
-  // Time with AM/PM like "3:00 PM"
-  match = text.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-  if (match) {
-    let hours = parseInt(match[1]);
-    const minutes = parseInt(match[2]);
-    const ampm = match[3].toUpperCase();
-    if (ampm === 'PM' && hours !== 12) hours += 12;
-    if (ampm === 'AM' && hours === 12) hours = 0;
-    const target = new Date();
-    target.setHours(hours, minutes, 0, 0);
-    if (target <= new Date()) target.setDate(target.getDate() + 1);
-    return Math.max(1, Math.ceil((target - new Date()) / 60000));
-  }
-
-  // 24-hour time like "15:00"
-  match = text.match(/(?:at|until|by)\s+(\d{1,2}):(\d{2})/i);
-  if (match) {
-    const hours = parseInt(match[1]);
-    const minutes = parseInt(match[2]);
-    if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
-      const target = new Date();
-      target.setHours(hours, minutes, 0, 0);
-      if (target <= new Date()) target.setDate(target.getDate() + 1);
-      return Math.max(1, Math.ceil((target - new Date()) / 60000));
+// Keep the raw payload for `claude-alarm replay`, dropping the oldest beyond the limit
+function savePayload(data) {
+  try {
+    fs.mkdirSync(PAYLOADS_DIR, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const event = String(data.hook_event_name || 'hook').replace(/[^A-Za-z0-9]/g, '');
+    fs.writeFileSync(path.join(PAYLOADS_DIR, `${stamp}-${event}.json`), JSON.stringify(data, null, 2));
+
+    const files = fs.readdirSync(PAYLOADS_DIR).filter((f) => f.endsWith('.json')).sort();
+    for (const file of files.slice(0, Math.max(0, files.length - MAX_SAVED_PAYLOADS))) {
+      fs.unlinkSync(path.join(PAYLOADS_DIR, file));
     }
-  }
-
-  return null;
+  } catch {}
 }
@@ -0,0 +1,241 @@
+'use strict';
+
+//
+// Speech engines and audio players for Linux, used by the voice and chime notifiers.
+//
+//   "speech": { "engine": "piper", "model": "~/voices/en_US-lessac-medium.onnx",
+//               "pitch": 50, "volume": 80 },
+//   "sound":  { "file": "~/sounds/bell.oga", "player": "pw-play", "repeat": 2, "volume": 70 }
+//
+// Engines: espeak-ng, espeak, spd-say, festival, pico2wave, piper, and "command" -- a shell
+// template such as "mimic3 --voice {voice} {text}". The top-level `rate` (words per minute)
+// applies to every engine; `pitch` and `volume` are 0-100 where the engine supports them.
+// Engines that write a WAV file (festival, pico2wave, piper, a command using {wav}) are
+// played through the sound player, which applies the volume.
+// Players: paplay, pw-play, aplay, ffplay -- the first one installed unless `player` is set.
+// It lives at ~/.claude-alarm/linux-audio.js after setup.
+//
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_RATE = 165; // Words per minute
+const DEFAULT_SOUND = '/usr/share/sounds/freedesktop/stereo/complete.oga';
+
+// Voices pico2wave ships with
+const PICO_LANGS = ['en-US', 'en-GB', 'de-DE', 'es-ES', 'fr-FR', 'it-IT'];
+
+// ── Commands ─────────────────────────────────────────────────────────
+
+const found = {};
+
+function hasCommand(cmd) {
+  if (!(cmd in found)) {
+    try {
+      execFileSync('which', [cmd], { stdio: 'pipe' });
+      found[cmd] = true;
+    } catch {
+      found[cmd] = false;
+    }
+  }
+  return found[cmd];
+}
+
+function expandHome(file) {
+  return String(file).replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+// Single-quoted for sh, so template values can't run anything
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+function tempWav() {
+  return path.join(os.tmpdir(), `claude-alarm-speech-${process.pid}-${Date.now()}.wav`);
+}
+
+// ── Players ──────────────────────────────────────────────────────────
+
+// Arguments to play `file` at `volume` (0-100). aplay has no volume control.
+const PLAYERS = {
+  paplay: (file, volume) => [`--volume=${Math.round((65536 * volume) / 100)}`, file],
+  'pw-play': (file, volume) => ['--volume', (volume / 100).toFixed(2), file],
+  aplay: (file) => ['-q', file],
+  ffplay: (file, volume) => ['-nodisp', '-autoexit', '-loglevel', 'quiet', '-volume', String(volume), file],
+};
+
+function installedPlayers() {
+  return Object.keys(PLAYERS).filter(hasCommand);
+}
+
+// Play `file` `repeat` times. Without a chosen player, each installed one is tried until
+// one manages (aplay can't play .oga, for one). Returns the player used.
+function playSound(file, { player, volume = 100, repeat = 1 } = {}) {
+  if (player && !PLAYERS[player]) throw new Error(`unknown player "${player}" (known: ${Object.keys(PLAYERS).join(', ')})`);
+  const candidates = player ? [player] : installedPlayers();
+  if (candidates.length === 0) throw new Error(`no audio player found (install one of ${Object.keys(PLAYERS).join(', ')})`);
+
+  const target = expandHome(file);
+  let lastError;
+  for (const name of candidates) {
+    try {
+      for (let i = 0; i < Math.max(1, repeat); i++) {
+        execFileSync(name, PLAYERS[name](target, clamp(volume, 0, 100)), { stdio: 'pipe' });
+      }
+      return name;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// ── Engines ──────────────────────────────────────────────────────────
+//
+// Each engine gets the text and { voice, rate, pitch, volume, lang, model, command,
+// player } and either speaks itself or returns the WAV file it wrote.
+
+const ENGINES = {
+  'espeak-ng': { commands: ['espeak-ng'], speak: espeak },
+  espeak: { commands: ['espeak'], speak: espeak },
+  'spd-say': { commands: ['spd-say'], speak: spdSay },
+  festival: { commands: ['text2wave'], speak: festival }, // text2wave comes with festival
+  pico2wave: { commands: ['pico2wave'], speak: pico2wave },
+  piper: { commands: ['piper', 'piper-tts'], speak: piper },
+  command: { commands: [], speak: commandTemplate },
+};
+
+// Tried in this order when no engine is configured. piper and command need settings first.
+const AUTO_ENGINES = ['espeak-ng', 'espeak', 'spd-say', 'festival', 'pico2wave'];
+
+function engineBinary(name) {
+  return ENGINES[name].commands.find(hasCommand) || null;
+}
+
+// Engines that can run without more settings, most preferred first
+function installedEngines() {
+  return AUTO_ENGINES.filter(engineBinary);
+}
+
+function espeak(text, s, binary) {
+  execFileSync(binary, [
+    '-v', s.voice || s.lang.split('-')[0],
+    '-s', String(s.rate),
+    '-p', String(clamp(s.pitch, 0, 99)),
+    '-a', String(clamp(s.volume, 0, 100)), // espeak's amplitude goes to 200, but 100 is its normal level
+    text,
+  ]);
+}
+
+function spdSay(text, s, binary) {
+  // speech-dispatcher takes rate, pitch and volume as -100..100 around its defaults. Volume
+  // 100 is its default, as it is the sound players' normal level; lower values go below it.
+  const args = [
+    '-w', // Wait until spoken, so repeats don't talk over each other
+    '-l', s.lang.split('-')[0],
+    '-r', String(clamp((s.rate - DEFAULT_RATE) / 2, -100, 100)),
+    '-p', String(clamp((s.pitch - 50) * 2, -100, 100)),
+    '-i', String(clamp(s.volume - 100, -100, 0)),
+  ];
+  if (s.voice) args.push('-y', s.voice);
+  execFileSync(binary, [...args, text]);
+}
+
+function festival(text, s, binary) {
+  const wav = tempWav();
+  const args = ['-o', wav, '-eval', `(Parameter.set 'Duration_Stretch ${(DEFAULT_RATE / s.rate).toFixed(2)})`];
+  if (s.voice) {
+    if (!/^\w+$/.test(s.voice)) throw new Error(`invalid festival voice "${s.voice}"`);
+    args.push('-eval', `(voice_${s.voice})`);
+  }
+  execFileSync(binary, args, { input: text });
+  return wav;
+}
+
+function pico2wave(text, s, binary) {
+  const wav = tempWav();
+  const lang =
+    s.voice ||
+    PICO_LANGS.find((l) => l === s.lang) ||
+    PICO_LANGS.find((l) => l.startsWith(s.lang.split('-')[0])) ||
+    'en-US';
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  // pico reads rate and pitch as percentages of its defaults
+  const speed = clamp((100 * s.rate) / DEFAULT_RATE, 20, 500);
+  const pitch = clamp(s.pitch * 2, 50, 200);
+  const ssml = `<speed level="${speed}"><pitch level="${pitch}">${escaped}</pitch></speed>`;
+  execFileSync(binary, ['-l', lang, '-w', wav, ssml]);
+  return wav;
+}
+
+function piper(text, s, binary) {
+  const model = s.model || s.voice;
+  if (!model) throw new Error('piper needs speech.model (the path of a .onnx voice)');
+  const wav = tempWav();
+  const lengthScale = (DEFAULT_RATE / s.rate).toFixed(2);
+  execFileSync(binary, ['--model', expandHome(model), '--output_file', wav, '--length_scale', lengthScale], {
+    input: text,
+    stdio: 'pipe',
+  });
+  return wav;
+}
+
+// A shell command with {text} {voice} {rate} {pitch} {volume} {lang} placeholders. With
+// {wav}, the command writes that file and the sound player plays it.
+function commandTemplate(text, s) {
+  if (!s.command) throw new Error('the command engine needs speech.command');
+  const wav = s.command.includes('{wav}') ? tempWav() : null;
+  const values = { text, voice: s.voice || '', rate: s.rate, pitch: s.pitch, volume: s.volume, lang: s.lang };
+  values.wav = wav || '';
+  const command = s.command.replace(/\{(\w+)\}/g, (whole, key) => (key in values ? shellQuote(values[key]) : whole));
+  execFileSync('sh', ['-c', command], { stdio: 'pipe' });
+  return wav;
+}
+
+// Speak `text` with the configured engine. `settings` is `config.speech` merged with
+// { rate, lang, player }. Returns a short description of what ran, for `claude-alarm test`.
+function speak(text, settings = {}) {
+  const name = settings.engine || installedEngines()[0];
+  if (!name) throw new Error('no speech engine found (install espeak-ng, or set speech.engine)');
+  const engine = ENGINES[name];
+  if (!engine) throw new Error(`unknown speech engine "${name}" (known: ${Object.keys(ENGINES).join(', ')})`);
+
+  const binary = engine.commands.length > 0 ? engineBinary(name) : 'sh';
+  if (!binary) throw new Error(`${name} is not installed`);
+
+  const s = {
+    ...settings,
+    rate: settings.rate || DEFAULT_RATE,
+    pitch: settings.pitch !== undefined ? settings.pitch : 50,
+    volume: settings.volume !== undefined ? settings.volume : 100,
+    lang: settings.lang || 'en-US',
+  };
+  const wav = engine.speak(text, s, binary);
+  if (!wav) return name;
+
+  try {
+    const player = playSound(wav, { player: s.player, volume: s.volume });
+    return `${name} via ${player}`;
+  } finally {
+    try {
+      fs.unlinkSync(wav);
+    } catch {}
+  }
+}
+
+module.exports = {
+  DEFAULT_SOUND,
+  ENGINES,
+  PLAYERS,
+  hasCommand,
+  installedEngines,
+  installedPlayers,
+  playSound,
+  speak,
+};
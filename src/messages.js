@@ -0,0 +1,259 @@
+'use strict';
+
+//
+// The words of an alarm: notification titles, the on-screen message, the spoken text,
+// the push body and the dialog buttons. Each locale pack has a full set; `locale` picks
+// one ("auto" follows LC_ALL / LC_MESSAGES / LANG), and config.json can replace any of
+// them with a template:
+//
+//   "locale": "de",
+//   "displayMessage": "{project} can continue -- {claude} is back after {waited}",
+//   "messages": { "title": "{limitType} over", "push": "Back at {resetTime}",
+//                 "warningTitle": "{minutesLeft} minutes to go" }
+//
+// Placeholders: {resetTime} {waited} {minutesLeft} {project} {limitType} {repeat} {label}
+// {id} {session} {claude}. {claude} is the product name on screen and the pack's phonetic
+// spelling in spoken text, so every TTS engine says it right in its own language.
+// It lives at ~/.claude-alarm/messages.js after setup.
+//
+
+const PACKS = {
+  en: {
+    lang: 'en-US',
+    spokenName: 'Clawed',
+    macVoice: 'Samantha',
+    title: '{claude} Credits Renewed',
+    repeatTitle: '{claude} Credits Renewed (reminder {repeat})',
+    subtitle: 'Your rate limit has reset',
+    subtitleProject: 'Your rate limit has reset -- {project} can continue',
+    message: 'Time to build. {claude} credits are back!',
+    push: '{claude} credits renewed. Time to build.',
+    pushProject: '{claude} credits renewed. Time to build. ({project} was blocked)',
+    warningTitle: '{claude} credits back in {minutesLeft} min',
+    warning: 'Your {limitType} resets at {resetTime}. Time to head back to your desk.',
+    dismiss: "Let's go!",
+    snooze: 'Snooze {minutes}m',
+    limitTypes: { usage: 'usage limit', weekly: 'weekly limit', manual: 'timer' },
+    units: { day: ['day', 'days'], hour: ['hour', 'hours'], minute: ['minute', 'minutes'] },
+  },
+  de: {
+    lang: 'de-DE',
+    spokenName: 'Klohd',
+    macVoice: 'Anna',
+    title: '{claude}-Guthaben erneuert',
+    repeatTitle: '{claude}-Guthaben erneuert (Erinnerung {repeat})',
+    subtitle: 'Dein Rate-Limit wurde zurückgesetzt',
+    subtitleProject: 'Dein Rate-Limit wurde zurückgesetzt -- {project} kann weitermachen',
+    message: 'Zeit zum Bauen. Das {claude}-Guthaben ist zurück!',
+    push: '{claude}-Guthaben erneuert. Zeit zum Bauen.',
+    pushProject: '{claude}-Guthaben erneuert. Zeit zum Bauen. ({project} war blockiert)',
+    warningTitle: '{claude}-Guthaben in {minutesLeft} Min. zurück',
+    warning: 'Dein {limitType} endet um {resetTime}. Zeit, zurück an den Schreibtisch zu gehen.',
+    dismiss: "Los geht's!",
+    snooze: 'Schlummern {minutes} Min.',
+    limitTypes: { usage: 'Nutzungslimit', weekly: 'Wochenlimit', manual: 'Timer' },
+    units: { day: ['Tag', 'Tage'], hour: ['Stunde', 'Stunden'], minute: ['Minute', 'Minuten'] },
+  },
+  fr: {
+    lang: 'fr-FR',
+    spokenName: 'Claude', // A French name: French voices already say it right
+    macVoice: 'Thomas',
+    title: 'Crédits {claude} renouvelés',
+    repeatTitle: 'Crédits {claude} renouvelés (rappel {repeat})',
+    subtitle: 'Votre limite a été réinitialisée',
+    subtitleProject: 'Votre limite a été réinitialisée -- {project} peut continuer',
+    message: 'Au travail ! Les crédits {claude} sont de retour !',
+    push: 'Crédits {claude} renouvelés. Au travail !',
+    pushProject: 'Crédits {claude} renouvelés. Au travail ! ({project} était bloqué)',
+    warningTitle: 'Crédits {claude} de retour dans {minutesLeft} min',
+    warning: 'Votre {limitType} se termine à {resetTime}. Il est temps de revenir.',
+    dismiss: "C'est parti !",
+    snooze: 'Rappel dans {minutes} min',
+    limitTypes: { usage: "limite d'utilisation", weekly: 'limite hebdomadaire', manual: 'minuteur' },
+    units: { day: ['jour', 'jours'], hour: ['heure', 'heures'], minute: ['minute', 'minutes'] },
+  },
+  es: {
+    lang: 'es-ES',
+    spokenName: 'Clod',
+    macVoice: 'Monica',
+    title: 'Créditos de {claude} renovados',
+    repeatTitle: 'Créditos de {claude} renovados (recordatorio {repeat})',
+    subtitle: 'Tu límite de uso se ha restablecido',
+    subtitleProject: 'Tu límite de uso se ha restablecido -- {project} puede continuar',
+    message: '¡A construir! ¡Los créditos de {claude} han vuelto!',
+    push: 'Créditos de {claude} renovados. ¡A construir!',
+    pushProject: 'Créditos de {claude} renovados. ¡A construir! ({project} estaba bloqueado)',
+    warningTitle: 'Créditos de {claude} en {minutesLeft} min',
+    warning: 'Tu {limitType} se restablece a las {resetTime}. Hora de volver.',
+    dismiss: '¡Vamos!',
+    snooze: 'Posponer {minutes} min',
+    limitTypes: { usage: 'límite de uso', weekly: 'límite semanal', manual: 'temporizador' },
+    units: { day: ['día', 'días'], hour: ['hora', 'horas'], minute: ['minuto', 'minutos'] },
+  },
+  pt: {
+    lang: 'pt-BR',
+    spokenName: 'Clód',
+    macVoice: 'Luciana',
+    title: 'Créditos do {claude} renovados',
+    repeatTitle: 'Créditos do {claude} renovados (lembrete {repeat})',
+    subtitle: 'Seu limite de uso foi redefinido',
+    subtitleProject: 'Seu limite de uso foi redefinido -- {project} pode continuar',
+    message: 'Hora de construir. Os créditos do {claude} voltaram!',
+    push: 'Créditos do {claude} renovados. Hora de construir.',
+    pushProject: 'Créditos do {claude} renovados. Hora de construir. ({project} estava bloqueado)',
+    warningTitle: 'Créditos do {claude} em {minutesLeft} min',
+    warning: 'Seu {limitType} é redefinido às {resetTime}. Hora de voltar.',
+    dismiss: 'Vamos lá!',
+    snooze: 'Adiar {minutes} min',
+    limitTypes: { usage: 'limite de uso', weekly: 'limite semanal', manual: 'timer' },
+    units: { day: ['dia', 'dias'], hour: ['hora', 'horas'], minute: ['minuto', 'minutos'] },
+  },
+  ja: {
+    lang: 'ja-JP',
+    spokenName: 'クロード',
+    macVoice: 'Kyoko',
+    title: '{claude}のクレジットが回復しました',
+    repeatTitle: '{claude}のクレジットが回復しました（リマインダー {repeat}）',
+    subtitle: 'レート制限がリセットされました',
+    subtitleProject: 'レート制限がリセットされました -- {project} を再開できます',
+    message: '開発再開の時間です。{claude}のクレジットが戻りました！',
+    push: '{claude}のクレジットが回復しました。開発再開の時間です。',
+    pushProject: '{claude}のクレジットが回復しました。開発再開の時間です。（{project} がブロックされていました）',
+    warningTitle: '{claude}のクレジットはあと{minutesLeft}分で回復',
+    warning: '{limitType}は{resetTime}にリセットされます。そろそろ戻りましょう。',
+    dismiss: '始めよう！',
+    snooze: '{minutes}分スヌーズ',
+    limitTypes: { usage: '使用制限', weekly: '週間制限', manual: 'タイマー' },
+    units: { day: ['日', '日'], hour: ['時間', '時間'], minute: ['分', '分'] },
+  },
+};
+
+const LOCALES = Object.keys(PACKS);
+
+// Setup used to write the English texts into config.json. Left there, they would hide
+// every other locale's pack, so they only count as customized in English.
+const LEGACY_TEXTS = {
+  displayMessage: 'Time to build. Claude credits are back!',
+  spokenMessage: 'Time to build. Clawed credits are back!',
+};
+
+// ── Locale ───────────────────────────────────────────────────────────
+
+// "de_DE.UTF-8", "pt-BR" or "de" -> a pack name, or null
+function packFor(tag) {
+  const code = String(tag || '')
+    .toLowerCase()
+    .split(/[_.@-]/)[0];
+  return PACKS[code] ? code : null;
+}
+
+// The pack name for a `locale` setting: a pack name, or "auto" for the environment's
+function resolveLocale(locale = 'auto') {
+  if (locale && locale !== 'auto') return packFor(locale) || 'en';
+  const env = process.env;
+  for (const tag of [env.LC_ALL, env.LC_MESSAGES, env.LANG]) {
+    if (tag && tag !== 'C' && tag !== 'POSIX') return packFor(tag) || 'en';
+  }
+  // Windows and some desktop sessions have no LANG
+  return packFor(Intl.DateTimeFormat().resolvedOptions().locale) || 'en';
+}
+
+// ── Templates ────────────────────────────────────────────────────────
+
+// Replace {name} placeholders in a string, or in every string of an array or object.
+// Unknown placeholders are left as they are.
+function fillTemplate(template, values) {
+  if (typeof template === 'string') {
+    return template.replace(/\{(\w+)\}/g, (whole, key) => (key in values ? String(values[key]) : whole));
+  }
+  if (Array.isArray(template)) return template.map((item) => fillTemplate(item, values));
+  if (template && typeof template === 'object') {
+    const filled = {};
+    for (const [key, value] of Object.entries(template)) filled[key] = fillTemplate(value, values);
+    return filled;
+  }
+  return template;
+}
+
+// "2h 15m" on screen, "2 hours 15 minutes" for the voice
+function formatWaited(ms, pack, spoken) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const parts = [
+    ['day', Math.floor(minutes / (24 * 60))],
+    ['hour', Math.floor((minutes % (24 * 60)) / 60)],
+    ['minute', minutes % 60],
+  ].filter(([, n], i, all) => n > 0 || (i === all.length - 1 && all.every(([, m]) => m === 0)));
+
+  return parts
+    .map(([unit, n]) => (spoken ? `${n} ${pack.units[unit][n === 1 ? 0 : 1]}` : `${n}${unit[0]}`))
+    .join(' ');
+}
+
+function limitType(alarm, pack) {
+  if (!alarm || alarm.id === 'usage-limit') return pack.limitTypes.usage;
+  if (alarm.id === 'weekly-limit') return pack.limitTypes.weekly;
+  return alarm.label || pack.limitTypes.manual;
+}
+
+// Everything an alert says, for `kind` ("fire", "repeat", "warning" or "test") and repeat
+// number `repeat`. Returns { title, subtitle, message, spoken, push, labels, values, locale }.
+// A warning comes before the reset: its own title and message, and nothing about a reset
+// that hasn't happened yet.
+function renderAlert(config, { kind = 'fire', repeat = 0, alarm = null, project = null, now = Date.now() } = {}) {
+  const code = resolveLocale(config.locale);
+  const pack = PACKS[code];
+  const messages = config.messages || {};
+  const custom = (key) => {
+    const text = config[key];
+    return typeof text === 'string' && text && (code === 'en' || text !== LEGACY_TEXTS[key]) ? text : null;
+  };
+
+  const resetAt = new Date((alarm && alarm.targetTime) || now);
+  const waitedMs = alarm && alarm.armedAt ? now - alarm.armedAt : 0;
+  const values = {
+    resetTime: resetAt.toLocaleTimeString(pack.lang, { hour: '2-digit', minute: '2-digit' }),
+    waited: formatWaited(waitedMs, pack, false),
+    minutesLeft: Math.max(0, Math.round((resetAt.getTime() - now) / 60000)),
+    project: project || '',
+    limitType: limitType(alarm, pack),
+    repeat,
+    label: (alarm && alarm.label) || '',
+    id: alarm ? alarm.id : '',
+    session: (alarm && alarm.sessionId) || '',
+    claude: 'Claude',
+  };
+  const spokenValues = { ...values, waited: formatWaited(waitedMs, pack, true), claude: pack.spokenName };
+
+  const common = {
+    labels: { dismiss: pack.dismiss, snooze: pack.snooze },
+    values,
+    locale: { code, lang: pack.lang, macVoice: pack.macVoice },
+  };
+
+  if (kind === 'warning') {
+    const warning = messages.warning || pack.warning;
+    return {
+      title: fillTemplate(messages.warningTitle || pack.warningTitle, values),
+      subtitle: project || '',
+      message: fillTemplate(warning, values),
+      spoken: fillTemplate(warning, spokenValues),
+      push: fillTemplate(warning, values),
+      ...common,
+    };
+  }
+
+  const title =
+    kind === 'repeat' ? messages.repeatTitle || messages.title || pack.repeatTitle : messages.title || pack.title;
+  const message = custom('displayMessage') || pack.message;
+
+  return {
+    title: fillTemplate(title, values),
+    subtitle: fillTemplate(messages.subtitle || (project ? pack.subtitleProject : pack.subtitle), values),
+    message: fillTemplate(message, values),
+    spoken: fillTemplate(custom('spokenMessage') || message, spokenValues),
+    push: fillTemplate(messages.push || (project ? pack.pushProject : pack.push), values),
+    ...common,
+  };
+}
+
+module.exports = { PACKS, LOCALES, resolveLocale, fillTemplate, renderAlert };
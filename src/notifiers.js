@@ -0,0 +1,642 @@
+'use strict';
+
+//
+// Notifier backends used by the alarm daemon. `config.notifiers` selects and orders them:
+//
+//   "notifiers": ["desktop", "chime", "voice", { "type": "ntfy", "priority": "high" }]
+//
+// An entry is a backend name, or an object with `type` plus options for that backend.
+// `{ "type": "module", "path": "~/my-notifier.js" }` loads a custom backend: a module
+// exporting `send(alert, options)` (or the function itself).
+//
+// Every backend gets the same alert, its texts rendered by messages.js in the configured locale:
+//   kind        "fire" (first alarm), "repeat" or "test"
+//   repeat      Repeat number (0 for the first alarm)
+//   urgency     Escalated urgency for this repeat, overriding the backend's option
+//   sound       Escalated sound file for this repeat, overriding the backend's option
+//   silent      True during quiet hours: notify without sound
+//   title       Notification title
+//   subtitle    Secondary line, where the platform has one
+//   project     Name of the project that was blocked (null if unknown)
+//   message     Text shown on screen
+//   spoken      Text spoken aloud
+//   push        Body of push messages
+//   labels      Dialog button templates: { dismiss, snooze } ("{minutes}" in snooze)
+//   values      The template placeholders, filled in for this alert
+//   locale      { code, lang, macVoice } of the locale pack
+//   config      The full daemon config
+//   alarm       The alarm record (null in test mode)
+//   terminal    Where Claude Code ran (terminal.js), for the terminal backend
+//   onDismiss   Call with the backend name when the user dismisses the alarm from this backend
+//   onSnooze    Call with a number of minutes and the backend name when the user snoozes
+//   signal      AbortSignal, aborted once the ringing ends (dismissed, snoozed or exited).
+//               Backends that leave something running (dialogs, subscriptions) close it then.
+//
+// `send` may return a promise. A backend that throws or rejects never affects the others.
+// One with nothing to do (ntfy without a topic) throws `notConfigured(reason)` to be reported as skipped.
+// It lives at ~/.claude-alarm/notifiers.js after setup.
+//
+
+const { execFileSync, spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const { fillTemplate } = require('./messages');
+const linuxAudio = require('./linux-audio');
+const { sendToTerminal } = require('./terminal');
+
+const DEFAULT_NOTIFIERS = ['desktop', 'chime', 'voice', 'dialog', 'ntfy'];
+
+// Backends that need someone at this machine's screen and speakers
+const DISPLAY_NOTIFIERS = ['desktop', 'chime', 'voice', 'dialog'];
+
+// ── Registry ─────────────────────────────────────────────────────────
+
+const backends = {
+  desktop: {
+    platforms: ['darwin', 'linux'],
+    send: (alert, options) => platformCall({ darwin: macOSNotification, linux: linuxNotification }, alert, options),
+  },
+  chime: {
+    platforms: ['darwin', 'linux'],
+    send: (alert, options) => platformCall({ darwin: macOSChime, linux: linuxChime }, alert, options),
+  },
+  voice: {
+    platforms: ['darwin', 'linux', 'win32'],
+    send: (alert, options) =>
+      platformCall({ darwin: macOSVoice, linux: linuxVoice, win32: windowsVoice }, alert, options),
+  },
+  dialog: {
+    platforms: ['darwin', 'linux', 'win32'],
+    send: showDismissDialog,
+  },
+  ntfy: {
+    send: sendNtfy,
+  },
+  webhook: {
+    send: sendWebhook,
+  },
+  terminal: {
+    platforms: ['darwin', 'linux'],
+    send: (alert, options) => sendToTerminal(alert.terminal, alert, options),
+  },
+};
+
+// The notifiers to use without a graphical session: the display ones give way to the
+// terminal backend, push and custom ones stay
+function headlessNotifiers(entries) {
+  const name = (entry) => (typeof entry === 'string' ? entry : entry && entry.type);
+  const kept = entries.filter((entry) => !DISPLAY_NOTIFIERS.includes(name(entry)));
+  return kept.some((entry) => name(entry) === 'terminal') ? kept : ['terminal', ...kept];
+}
+
+// Thrown by a backend that isn't set up, so `claude-alarm test` doesn't report it as working
+function notConfigured(reason) {
+  return Object.assign(new Error(reason), { skipped: true });
+}
+
+function platformCall(byPlatform, alert, options) {
+  const fn = byPlatform[os.platform()];
+  return fn ? fn(alert, options) : undefined;
+}
+
+function resolveEntry(entry) {
+  const options = typeof entry === 'string' ? { type: entry } : { ...entry };
+
+  if (options.type === 'module') {
+    const modulePath = String(options.path || '').replace(/^~(?=$|[\\/])/, os.homedir());
+    const loaded = require(path.resolve(modulePath));
+    const send = typeof loaded === 'function' ? loaded : loaded.send;
+    if (typeof send !== 'function') throw new Error(`${modulePath} does not export send()`);
+    return { name: options.name || path.basename(modulePath, '.js'), backend: { send }, options };
+  }
+
+  const backend = backends[options.type];
+  if (!backend) throw new Error(`Unknown notifier "${options.type}"`);
+  return { name: options.type, backend, options };
+}
+
+// Run every configured backend in order. Synchronous backends (voice, chime) finish
+// before the next one starts; asynchronous ones (ntfy, webhook) run alongside and are awaited here.
+// Resolves to one { name, ok, skipped?, reason?, error? } result per entry.
+async function notifyAll(entries, alert) {
+  const pending = [];
+  const failed = (name, err) =>
+    err.skipped ? { name, ok: true, skipped: true, reason: err.message } : { name, ok: false, error: err.message };
+
+  for (const entry of entries || DEFAULT_NOTIFIERS) {
+    let name = typeof entry === 'string' ? entry : entry && (entry.name || entry.type);
+
+    try {
+      const resolved = resolveEntry(entry);
+      name = resolved.name;
+      const { backend, options } = resolved;
+
+      if (backend.platforms && !backend.platforms.includes(os.platform())) {
+        pending.push({ name, ok: true, skipped: true });
+        continue;
+      }
+
+      // A backend may resolve to a short description of what it did, shown by `claude-alarm test`
+      pending.push(
+        Promise.resolve(backend.send(alert, options)).then(
+          (detail) => ({ name, ok: true, detail: typeof detail === 'string' ? detail : undefined }),
+          (err) => failed(name, err)
+        )
+      );
+    } catch (err) {
+      pending.push(failed(name || 'unknown', err));
+    }
+  }
+
+  return Promise.all(pending);
+}
+
+// ── macOS ────────────────────────────────────────────────────────────
+
+// An AppleScript string literal. Titles and messages carry the project name and
+// user-configured text, which must not be able to end the string and run code.
+function appleString(text) {
+  return '"' + String(text).replace(/[\\"]/g, '\\$&') + '"';
+}
+
+function macOSNotification(alert) {
+  // Desktop notification with chime (silent during quiet hours)
+  execFileSync('osascript', [
+    '-e',
+    `display notification ${appleString(alert.message)} with title ${appleString(alert.title)}` +
+      ` subtitle ${appleString(alert.subtitle)}` +
+      (alert.silent ? '' : ' sound name "Glass"'),
+  ]);
+}
+
+function macOSChime(alert, options) {
+  const sound = soundSettings(alert, options);
+  const file = sound.file || '/System/Library/Sounds/Glass.aiff';
+  const args = sound.volume !== undefined ? ['-v', String(sound.volume / 100), file] : [file];
+  for (let i = 0; i < Math.max(1, sound.repeat || 1); i++) execFileSync('afplay', args);
+}
+
+// Samantha only speaks English: other locales get their pack's voice unless one was chosen
+function macOSVoiceName(alert, options) {
+  const chosen = options.voice || alert.config.voice;
+  if (chosen && (chosen !== 'Samantha' || alert.locale.code === 'en')) return chosen;
+  return alert.locale.macVoice;
+}
+
+function macOSVoice(alert, options) {
+  const { config } = alert;
+  const voice = macOSVoiceName(alert, options);
+  const rate = options.rate || config.rate || 165;
+  execFileSync('say', ['-v', voice, '-r', String(rate), alert.spoken]);
+}
+
+function macOSDialog(alert, options) {
+  // Persistent dialog with "Let's go!" and snooze buttons -- stays on screen until clicked
+  const snooze = appleString(options.snoozeLabel);
+  const dismiss = appleString(options.dismissLabel);
+  const proc = spawn('osascript', [
+    '-e',
+    `display dialog ${appleString(alert.message)} with title ${appleString(alert.title)}` +
+      ` buttons {${snooze}, ${dismiss}} default button ${dismiss} with icon note`,
+  ]);
+  // Prints "button returned:<label>"
+  return { proc, isSnooze: (code, output) => output.includes(options.snoozeLabel) };
+}
+
+// ── Linux ────────────────────────────────────────────────────────────
+
+function linuxNotification(alert, options) {
+  const body = alert.project ? `${alert.message}\n${alert.subtitle}` : alert.message;
+  execFileSync('notify-send', ['-u', alert.urgency || options.urgency || 'normal', alert.title, body]);
+}
+
+function linuxChime(alert, options) {
+  const sound = soundSettings(alert, options);
+  const player = linuxAudio.playSound(sound.file || linuxAudio.DEFAULT_SOUND, sound);
+  return sound.repeat > 1 ? `${player}, ${sound.repeat} times` : player;
+}
+
+// `config.speech`, then the notifier entry's options. `voice: "espeak"` (or "spd-say")
+// from older configs still picks the engine.
+function linuxVoice(alert, options) {
+  const { config } = alert;
+  const legacyEngine = [options.voice, config.voice].find((name) => linuxAudio.ENGINES[name]);
+  const speech = { ...(config.speech || {}), ...stripEmpty(options) };
+  delete speech.type;
+  if (linuxAudio.ENGINES[speech.voice]) delete speech.voice;
+
+  return linuxAudio.speak(alert.spoken, {
+    engine: legacyEngine,
+    ...speech,
+    rate: options.rate || config.rate,
+    lang: alert.locale.lang,
+    player: speech.player || (config.sound && config.sound.player),
+  });
+}
+
+function linuxDialog(alert, options) {
+  const label = options.snoozeLabel;
+  const dismiss = options.dismissLabel;
+
+  // Try zenity first, fall back to kdialog
+  const cmds = [
+    {
+      cmd: 'zenity',
+      args: ['--info', '--title=' + alert.title, '--text=' + alert.message, '--ok-label=' + dismiss, '--extra-button=' + label],
+      // The extra button prints its label
+      isSnooze: (code, output) => output.trim() === label,
+    },
+    {
+      cmd: 'kdialog',
+      args: ['--yesno', alert.message, '--title', alert.title, '--yes-label', dismiss, '--no-label', label],
+      isSnooze: (code) => code === 1,
+    },
+  ];
+
+  for (const { cmd, args, isSnooze } of cmds) {
+    try {
+      execFileSync('which', [cmd], { stdio: 'pipe' });
+      return { proc: spawn(cmd, args), isSnooze };
+    } catch {
+      continue;
+    }
+  }
+
+  return null;
+}
+
+// ── Windows ──────────────────────────────────────────────────────────
+
+function sanitizeForPS(str) {
+  // Remove characters that could break out of PowerShell single-quoted strings
+  return String(str).replace(/'/g, "''").replace(/[`$]/g, '');
+}
+
+function windowsVoice(alert) {
+  const msg = sanitizeForPS(alert.spoken);
+  const lang = sanitizeForPS(alert.locale.lang);
+  // Use an installed voice for the locale's language, if there is one
+  const psScript = `
+    Add-Type -AssemblyName System.Speech
+    $synth = New-Object System.Speech.Synthesis.SpeechSynthesizer
+    $synth.Rate = 0
+    try { $synth.SelectVoiceByHints('NotSet', 'NotSet', 0, [Globalization.CultureInfo]'${lang}') } catch {}
+    $synth.Speak('${msg}')
+  `.trim();
+
+  execFileSync('powershell', ['-NoProfile', '-Command', psScript]);
+}
+
+function windowsDialog(alert, options) {
+  const msg = sanitizeForPS(alert.message);
+  const title = sanitizeForPS(alert.title);
+  const label = sanitizeForPS(options.snoozeLabel);
+  const dismiss = sanitizeForPS(options.dismissLabel);
+  // MessageBox buttons can't be relabelled, so the text explains Yes/No
+  const psScript = `
+    Add-Type -AssemblyName PresentationFramework
+    $text = '${msg}' + [Environment]::NewLine + [Environment]::NewLine + 'Yes: ${dismiss}    No: ${label}'
+    $result = [System.Windows.MessageBox]::Show($text, '${title}', 'YesNo', 'Information')
+    Write-Output $result
+  `.trim();
+
+  const proc = spawn('powershell', ['-NoProfile', '-Command', psScript]);
+  return { proc, isSnooze: (code, output) => output.trim() === 'No' };
+}
+
+// The chime's file, player, volume and repeat count: `config.sound`, then the notifier
+// entry's options (`sound` there is the file, as is an escalation's `sound`)
+function soundSettings(alert, options) {
+  const { sound: file, ...rest } = stripEmpty(options);
+  const sound = { ...((alert.config && alert.config.sound) || {}), ...rest };
+  delete sound.type;
+  if (file) sound.file = file;
+  if (alert.sound) sound.file = alert.sound;
+  return sound;
+}
+
+// ── Dismiss dialog (persistent, stays on screen until clicked) ───────
+
+function showDismissDialog(alert, options) {
+  // One dialog per alarm: repeats and test runs only notify
+  if (alert.kind !== 'fire') return;
+
+  const snoozeMinutes = options.snoozeMinutes || alert.config.snoozeMinutes || 15;
+  const dialogOptions = {
+    ...options,
+    dismissLabel: alert.labels.dismiss,
+    snoozeLabel: fillTemplate(alert.labels.snooze, { minutes: snoozeMinutes }),
+  };
+  const dialog = platformCall({ darwin: macOSDialog, linux: linuxDialog, win32: windowsDialog }, alert, dialogOptions);
+  if (!dialog) return;
+
+  const { proc, isSnooze } = dialog;
+  let output = '';
+  proc.on('error', () => {}); // Suppress spawn errors
+  if (proc.stdout) proc.stdout.on('data', (chunk) => (output += chunk));
+
+  // When user clicks a button, the dialog process exits
+  proc.on('close', (code) => {
+    if (alert.signal && alert.signal.aborted) return; // We closed it ourselves
+    if (isSnooze(code, output)) {
+      if (alert.onSnooze) alert.onSnooze(snoozeMinutes, 'dialog');
+    } else if (alert.onDismiss) {
+      alert.onDismiss('dialog');
+    }
+  });
+
+  if (alert.signal) alert.signal.addEventListener('abort', () => proc.kill(), { once: true });
+}
+
+// ── HTTP ─────────────────────────────────────────────────────────────
+
+// Resolves to the response status code. Rejects on network errors and on timeout.
+// `timeoutMs` bounds the whole request, so a server trickling out its response can't hold it open.
+function httpRequest(url, { method = 'POST', headers = {}, body, timeoutMs = 10000 }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const fail = (err) => {
+      clearTimeout(deadline);
+      reject(err);
+    };
+    const req = transport.request(target, { method, headers }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        clearTimeout(deadline);
+        resolve(res.statusCode);
+      });
+      res.on('error', fail);
+    });
+    const deadline = setTimeout(() => {
+      const err = new Error(`timed out after ${timeoutMs}ms`);
+      req.destroy(err);
+      fail(err);
+    }, timeoutMs);
+    req.on('error', fail);
+    req.end(body);
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ── ntfy (optional push notification) ───────────────────────────────
+//
+// Settings come from `config.ntfy`, then the notifier entry's own options, then the
+// NTFY_* environment variables that older versions relied on:
+//   topic, url, priority, tags, token (access token), username + password (basic auth),
+//   actions (Dismiss / Snooze buttons, default true), controlTopic, controlToken,
+//   snoozeMinutes (defaults to the top-level `snoozeMinutes`)
+//
+// The buttons publish "dismiss <id>" or "snooze <id> <minutes>" to the control topic
+// (default: "<topic>-control"). While the alarm rings, its daemon subscribes to that
+// topic and acts on messages addressed to it.
+//
+// A button's request is part of the published message, readable by anyone who can read
+// the topic, so it never carries `token` or the password. It sends `controlToken` -- a
+// token that may only write to the control topic -- or nothing, for a control topic that
+// accepts anonymous writes.
+
+const NTFY_PRIORITIES = { min: 1, low: 2, default: 3, high: 4, max: 5, urgent: 5 };
+
+function ntfySettings(alert, options) {
+  const env = process.env;
+  const settings = {
+    topic: env.NTFY_TOPIC,
+    url: env.NTFY_URL,
+    priority: env.NTFY_PRIORITY,
+    tags: env.NTFY_TAGS,
+    ...stripEmpty((alert.config && alert.config.ntfy) || {}),
+    ...stripEmpty(options),
+  };
+  settings.url = (settings.url || 'https://ntfy.sh').replace(/\/+$/, '');
+  settings.controlTopic = settings.controlTopic || `${settings.topic}-control`;
+  return settings;
+}
+
+function stripEmpty(obj) {
+  const result = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (value !== undefined && value !== null && value !== '') result[key] = value;
+  }
+  return result;
+}
+
+function ntfyAuthHeaders(settings) {
+  if (settings.token) return { Authorization: `Bearer ${settings.token}` };
+  if (settings.username) {
+    const credentials = Buffer.from(`${settings.username}:${settings.password || ''}`).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+  return {};
+}
+
+async function sendNtfy(alert, options) {
+  const settings = ntfySettings(alert, options);
+  if (!settings.topic) throw notConfigured('no topic configured');
+
+  const auth = ntfyAuthHeaders(settings);
+  const message = {
+    topic: settings.topic,
+    title: alert.title,
+    message: alert.push,
+  };
+
+  const priority = NTFY_PRIORITIES[String(settings.priority).toLowerCase()] || parseInt(settings.priority);
+  if (priority) message.priority = priority;
+  if (settings.tags) {
+    const tags = Array.isArray(settings.tags) ? settings.tags : String(settings.tags).split(',');
+    message.tags = tags.map((t) => String(t).trim());
+  }
+
+  // Buttons only make sense while a daemon is around to hear them
+  const withActions = settings.actions !== false && alert.kind === 'fire' && alert.alarm;
+  if (withActions) {
+    const controlUrl = `${settings.url}/${settings.controlTopic}`;
+    const snoozeMinutes = settings.snoozeMinutes || alert.config.snoozeMinutes || 15;
+    const button = (label, body) => ({
+      action: 'http',
+      label,
+      url: controlUrl,
+      method: 'POST',
+      body,
+      headers: settings.controlToken ? { Authorization: `Bearer ${settings.controlToken}` } : undefined,
+      clear: true,
+    });
+    message.actions = [
+      button(alert.labels.dismiss, `dismiss ${alert.alarm.id}`),
+      button(fillTemplate(alert.labels.snooze, { minutes: snoozeMinutes }), `snooze ${alert.alarm.id} ${snoozeMinutes}`),
+    ];
+  }
+
+  const status = await httpRequest(settings.url, {
+    headers: { 'Content-Type': 'application/json', ...auth },
+    body: JSON.stringify(message),
+  });
+  if (status >= 400) throw new Error(`ntfy responded ${status}`);
+
+  if (withActions) listenForNtfyActions(alert, settings, auth);
+}
+
+// Reconnect delays for the control stream: doubling from the first to the last
+const NTFY_RETRY_MS = [1000, 60 * 1000];
+
+// ntfy sends a keepalive every 45 seconds: a stream silent for longer is gone
+const NTFY_IDLE_MS = 2 * 60 * 1000;
+
+// Streams the control topic until the ringing ends. Not awaited: it outlives `send`.
+// A dropped connection (proxy idle timeout, network change) is reopened from the last
+// message seen, so no button press in between is lost.
+function listenForNtfyActions(alert, settings, auth) {
+  let since = String(Math.floor(Date.now() / 1000));
+  let delay = NTFY_RETRY_MS[0];
+  let req = null;
+  let retry = null;
+  const aborted = () => Boolean(alert.signal && alert.signal.aborted);
+
+  const reconnect = () => {
+    if (aborted() || retry) return;
+    retry = setTimeout(() => {
+      retry = null;
+      connect();
+    }, delay);
+    delay = Math.min(delay * 2, NTFY_RETRY_MS[1]);
+  };
+
+  const connect = () => {
+    const target = new URL(`${settings.url}/${settings.controlTopic}/json?since=${encodeURIComponent(since)}`);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const current = transport.get(target, { headers: auth }, (res) => {
+      if (res.statusCode >= 400) {
+        res.resume();
+        return lost();
+      }
+      delay = NTFY_RETRY_MS[0];
+      res.setEncoding('utf8');
+
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const id = handleNtfyAction(alert, line);
+          if (id) since = id;
+        }
+      });
+      res.on('end', lost);
+      res.on('error', lost);
+    });
+    // Only the latest connection may start another: a closing one can report twice
+    const lost = () => {
+      if (req === current) reconnect();
+    };
+    current.setTimeout(NTFY_IDLE_MS, () => current.destroy());
+    current.on('error', lost);
+    req = current;
+  };
+
+  connect();
+  if (alert.signal) {
+    alert.signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(retry);
+        req.destroy();
+      },
+      { once: true }
+    );
+  }
+}
+
+// Act on one line of the stream. Returns the id of a message, to resume the stream from.
+function handleNtfyAction(alert, line) {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (event.event !== 'message' || !event.message) return null;
+
+  const [action, id, minutes] = event.message.trim().split(/\s+/);
+  if (id !== alert.alarm.id) return event.id; // Addressed to another alarm
+
+  if (action === 'dismiss' && alert.onDismiss) {
+    alert.onDismiss('ntfy');
+  } else if (action === 'snooze' && alert.onSnooze) {
+    alert.onSnooze(parseFloat(minutes) || alert.config.snoozeMinutes || 15, 'ntfy');
+  }
+  return event.id;
+}
+
+// ── Webhook (Slack, Discord, Mattermost, ...) ────────────────────────
+//
+//   { "type": "webhook", "url": "https://hooks.slack.com/services/...",
+//     "body": { "text": "{message} (reset at {resetTime})" } }
+//
+// Options: url, method (POST), headers, body, retries (2), backoffMs (1000), timeoutMs (5000).
+// `body` is a JSON template: placeholders in its strings are filled in and the result is
+// sent as JSON. A string body is sent as-is after filling in placeholders.
+
+const DEFAULT_WEBHOOK_BODY = { text: '{title}: {message}' };
+
+// The message placeholders ({resetTime}, {waited}, {limitType}, ...) plus the alert's texts
+function webhookValues(alert) {
+  const resetAt = new Date((alert.alarm && alert.alarm.targetTime) || Date.now());
+  return {
+    ...alert.values,
+    title: alert.title,
+    message: alert.message,
+    push: alert.push,
+    kind: alert.kind,
+    resetISO: resetAt.toISOString(),
+  };
+}
+
+async function sendWebhook(alert, options) {
+  if (!options.url) throw new Error('webhook needs a url');
+
+  const values = webhookValues(alert);
+  const template = options.body !== undefined ? options.body : DEFAULT_WEBHOOK_BODY;
+  const headers = { ...fillTemplate(options.headers || {}, values) };
+  let body = fillTemplate(template, values);
+  if (typeof body !== 'string') {
+    body = JSON.stringify(body);
+    if (!Object.keys(headers).some((h) => h.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  const retries = options.retries !== undefined ? options.retries : 2;
+  const backoffMs = options.backoffMs !== undefined ? options.backoffMs : 1000;
+  const request = {
+    method: options.method || 'POST',
+    headers,
+    body,
+    timeoutMs: options.timeoutMs || 5000,
+  };
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(backoffMs * 2 ** (attempt - 1));
+    try {
+      const status = await httpRequest(fillTemplate(options.url, values), request);
+      if (status < 400) return;
+      lastError = new Error(`webhook responded ${status}`);
+      // Client errors won't fix themselves -- only retry rate limits and server errors
+      if (status < 500 && status !== 429) break;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = { DEFAULT_NOTIFIERS, backends, headlessNotifiers, notConfigured, notifyAll };
@@ -0,0 +1,105 @@
+'use strict';
+
+//
+// Quiet hours (do-not-disturb) for alarms, shared by the daemon and `claude-alarm status`.
+//
+//   "quietHours": {
+//     "timezone": "Europe/Berlin",        IANA name (default: the system timezone)
+//     "mode": "mute",                     "mute" or "defer"
+//     "muteNotifiers": ["voice", "chime"],
+//     "windows": [
+//       { "days": ["mon", "tue", "wed", "thu", "fri"], "start": "22:00", "end": "07:30" },
+//       { "days": ["sat", "sun"], "start": "23:00", "end": "10:00" }
+//     ]
+//   }
+//
+// A window that ends before it starts runs past midnight; `days` names the day it starts on
+// and defaults to every day. In "mute" mode the alarm fires without the backends listed in
+// `muteNotifiers`; in "defer" mode it waits for the window to end.
+// It lives at ~/.claude-alarm/quiet-hours.js after setup.
+//
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_MUTED = ['voice', 'chime'];
+
+// Longest stretch we look ahead for the end of quiet hours
+const MAX_QUIET_MINUTES = 7 * 24 * 60;
+
+function parseClock(str) {
+  const match = String(str || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+function parseDays(days) {
+  if (!Array.isArray(days) || days.length === 0) return null; // Every day
+  return days.map((d) => DAYS.indexOf(String(d).slice(0, 3).toLowerCase())).filter((d) => d !== -1);
+}
+
+function makeFormatter(timezone) {
+  const options = { hourCycle: 'h23', weekday: 'short', hour: '2-digit', minute: '2-digit' };
+  try {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone || undefined });
+  } catch {
+    // Unknown timezone -- fall back to the system one
+    return new Intl.DateTimeFormat('en-US', options);
+  }
+}
+
+// Weekday (0 = Sunday) and minutes since midnight in the configured timezone
+function wallClock(formatter, time) {
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(time))) parts[type] = value;
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: (parseInt(parts.hour) % 24) * 60 + parseInt(parts.minute),
+  };
+}
+
+function inWindow(window, { day, minutes }) {
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  if (start === null || end === null || start === end) return false;
+
+  const days = parseDays(window.days);
+  const onDay = (d) => !days || days.includes(d);
+
+  if (start < end) return onDay(day) && minutes >= start && minutes < end;
+  // Past midnight: the evening part belongs to today, the morning part to yesterday
+  return (onDay(day) && minutes >= start) || (onDay((day + 6) % 7) && minutes < end);
+}
+
+function isQuiet(quietHours, time, formatter) {
+  if (!quietHours || !Array.isArray(quietHours.windows)) return false;
+  const clock = wallClock(formatter || makeFormatter(quietHours.timezone), time);
+  return quietHours.windows.some((w) => w && inWindow(w, clock));
+}
+
+// First minute boundary after `time` that falls outside quiet hours
+function quietUntil(quietHours, time) {
+  const formatter = makeFormatter(quietHours.timezone);
+  let t = Math.floor(time / 60000) * 60000;
+  for (let i = 0; i < MAX_QUIET_MINUTES; i++) {
+    t += 60000;
+    if (!isQuiet(quietHours, t, formatter)) return t;
+  }
+  return t;
+}
+
+// What quiet hours do to an alarm firing at `time`:
+//   { quiet: false }
+//   { quiet: true, mode: 'mute', muted: [...] }
+//   { quiet: true, mode: 'defer', until: <timestamp>, muted: [...] }
+// `muted` also applies to repeats of an alarm that fired before the window began.
+function quietState(quietHours, time) {
+  if (!quietHours || quietHours.enabled === false || !isQuiet(quietHours, time)) return { quiet: false };
+
+  const muted = Array.isArray(quietHours.muteNotifiers) ? quietHours.muteNotifiers : DEFAULT_MUTED;
+  if (quietHours.mode === 'defer') {
+    return { quiet: true, mode: 'defer', until: quietUntil(quietHours, time), muted };
+  }
+  return { quiet: true, mode: 'mute', muted };
+}
+
+module.exports = { quietState, isQuiet };
@@ -0,0 +1,263 @@
+'use strict';
+
+//
+// Reset-time parser for rate limit messages, used by the hook handler.
+// It lives at ~/.claude-alarm/reset-time.js after setup.
+//
+// parseResetTime(text) returns { time, rule, match, timezone } or null:
+//   time      absolute timestamp (ms) of the reset
+//   rule      which form matched: epoch, iso, retry-after, date, weekday, duration, clock
+//   match     the part of the message the time was read from
+//   timezone  IANA name or UTC offset named in the message (null: system timezone)
+//
+// Rules are tried from the most to the least precise. Clock times without a date mean
+// the next time that clock time comes round, in the named timezone if there is one.
+//
+
+// Never arm for sooner than this -- a reset that already passed rings right away
+const MIN_WAIT_MS = 30 * 1000;
+
+// Epoch timestamps further out than this are something else (a request id, a size)
+const MAX_EPOCH_AHEAD_MS = 60 * 24 * 3600 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "3pm", "3 PM", "3:30pm", "3:30 p.m.", or 24-hour "15:00"
+const CLOCK = '\\b(\\d{1,2})(?::(\\d{2}))?\\s*([ap])\\.?m\\b\\.?|\\b(\\d{1,2}):(\\d{2})\\b';
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b\\.?';
+const WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)\\b\\.?';
+
+const UNITS = {
+  d: 24 * 3600, day: 24 * 3600, days: 24 * 3600,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+};
+const DURATION_PART = '(\\d+(?:\\.\\d+)?)\\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\\b';
+
+// ── Timezones ────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+function isValidZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "(America/Los_Angeles)", "Europe/Berlin", "UTC", "GMT+2", "UTC-05:30".
+// A named zone is a string, a fixed offset is a number of minutes east of UTC.
+function findTimezone(text) {
+  for (const [name] of text.matchAll(/\b[A-Z][A-Za-z_]+(?:\/[A-Za-z_+-]+){1,2}\b/g)) {
+    if (isValidZone(name)) return name;
+  }
+
+  const offset = text.match(/\b(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?\b/);
+  if (offset) {
+    const minutes = parseInt(offset[2]) * 60 + parseInt(offset[3] || '0');
+    return offset[1] === '-' ? -minutes : minutes;
+  }
+  if (/\b(?:UTC|GMT)\b/.test(text)) return 0;
+  return null;
+}
+
+function describeZone(zone) {
+  if (typeof zone !== 'number') return zone;
+  if (zone === 0) return 'UTC';
+  const abs = Math.abs(zone);
+  const minutes = abs % 60 ? `:${String(abs % 60).padStart(2, '0')}` : '';
+  return `UTC${zone < 0 ? '-' : '+'}${Math.floor(abs / 60)}${minutes}`;
+}
+
+// Wall-clock date and time of `time` in `zone` (null: the system timezone)
+function wallClock(time, zone) {
+  if (zone === null) {
+    const d = new Date(time);
+    return { year: d.getFullYear(), month: d.getMonth(), day: d.getDate(), weekday: d.getDay() };
+  }
+  if (typeof zone === 'number') {
+    const d = new Date(time + zone * 60000);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate(), weekday: d.getUTCDay() };
+  }
+
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(zone).formatToParts(new Date(time))) parts[type] = value;
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month) - 1,
+    day: parseInt(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    hour: parseInt(parts.hour) % 24,
+    minute: parseInt(parts.minute),
+  };
+}
+
+// Minutes east of UTC in `zone` at `time`
+function zoneOffset(time, zone) {
+  if (zone === null) return -new Date(time).getTimezoneOffset();
+  if (typeof zone === 'number') return zone;
+  const p = wallClock(time, zone);
+  const wall = Date.UTC(p.year, p.month, p.day, p.hour, p.minute);
+  return Math.round((wall - Math.floor(time / 60000) * 60000) / 60000);
+}
+
+// Timestamp of a wall-clock time in `zone`. Days past the end of the month roll over.
+function fromWallClock(year, month, day, hour, minute, zone) {
+  const wall = Date.UTC(year, month, day, hour, minute);
+  const guess = wall - zoneOffset(wall, zone) * 60000;
+  // Second pass in case the first guess landed on the other side of a DST change
+  return wall - zoneOffset(guess, zone) * 60000;
+}
+
+// ── Rules ────────────────────────────────────────────────────────────
+
+function clockFrom(m, i) {
+  // m[i..i+2] is the 12-hour form, m[i+3..i+4] the 24-hour form
+  let hour;
+  let minute;
+  if (m[i] !== undefined) {
+    hour = parseInt(m[i]);
+    minute = parseInt(m[i + 1] || '0');
+    if (hour < 1 || hour > 12) return null;
+    if (m[i + 2].toLowerCase() === 'p' && hour !== 12) hour += 12;
+    if (m[i + 2].toLowerCase() === 'a' && hour === 12) hour = 0;
+  } else if (m[i + 3] !== undefined) {
+    hour = parseInt(m[i + 3]);
+    minute = parseInt(m[i + 4]);
+    if (hour > 23) return null;
+  } else {
+    return undefined; // No clock time given
+  }
+  return minute <= 59 ? { hour, minute } : null;
+}
+
+const RULES = [
+  {
+    // "Claude AI usage limit reached|1760900000", "resets_at": 1760900000123
+    name: 'epoch',
+    pattern: /(?:\||reset(?:s?_at|s?At|s)?["']?\s*[:=]?\s*(?:at\s+)?)(\d{10}|\d{13})\b/i,
+    parse(m, now) {
+      const time = m[1].length === 10 ? parseInt(m[1]) * 1000 : parseInt(m[1]);
+      return time > now - 24 * 3600 * 1000 && time < now + MAX_EPOCH_AHEAD_MS ? time : null;
+    },
+  },
+  {
+    // "2026-10-21T09:00:00Z", "2026-10-21 09:00:00+02:00", "2026-10-21T09:00" (zone from the message)
+    name: 'iso',
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?\b/,
+    parse(m, now, zone) {
+      if (m[7]) return Date.parse(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6] || '00'}${m[7].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`);
+      return fromWallClock(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], zone) + parseInt(m[6] || '0') * 1000;
+    },
+  },
+  {
+    // "retry-after: 3600" (seconds, as in the HTTP header)
+    name: 'retry-after',
+    pattern: /retry.?after["']?[\s:=]+(\d+)\b(?!\s*(?:[a-z]|:\d))/i,
+    parse: (m, now) => now + parseInt(m[1]) * 1000,
+  },
+  {
+    // "resets Oct 21, 9am", "until 21 October at 15:00", "resets Oct 21"
+    name: 'date',
+    pattern: new RegExp(`\\b(?:${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b|\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH})(?:,?\\s*(\\d{4}))?(?:,?\\s*(?:at\\s+)?(?:${CLOCK}))?`, 'i'),
+    parse(m, now, zone) {
+      const month = MONTHS.indexOf((m[1] || m[4]).slice(0, 3).toLowerCase());
+      const day = parseInt(m[2] || m[3]);
+      const clock = clockFrom(m, 6);
+      if (day < 1 || day > 31 || clock === null) return null;
+      const { hour, minute } = clock || { hour: 0, minute: 0 };
+
+      if (m[5]) return fromWallClock(parseInt(m[5]), month, day, hour, minute, zone);
+      // Without a year, the nearest such date: "Jan 2" on Dec 30 is next year's, while a
+      // stale "Oct 18" on Oct 19 stays in the past (and rings right away) rather than
+      // turning into an alarm a year out
+      const { year } = wallClock(now, zone);
+      const candidates = [year - 1, year, year + 1].map((y) => fromWallClock(y, month, day, hour, minute, zone));
+      return candidates.reduce((best, time) => (Math.abs(time - now) < Math.abs(best - now) ? time : best));
+    },
+  },
+  {
+    // Weekly resets: "resets Monday at 9am", "until Thu 14:00"
+    name: 'weekday',
+    pattern: new RegExp(`\\b${WEEKDAY},?\\s*(?:at\\s+)?(?:${CLOCK})`, 'i'),
+    parse(m, now, zone) {
+      const weekday = WEEKDAYS.indexOf(m[1].slice(0, 3).toLowerCase());
+      const clock = clockFrom(m, 2);
+      if (!clock) return null;
+
+      const today = wallClock(now, zone);
+      let days = (weekday - today.weekday + 7) % 7;
+      let time = fromWallClock(today.year, today.month, today.day + days, clock.hour, clock.minute, zone);
+      if (time <= now) {
+        days += 7;
+        time = fromWallClock(today.year, today.month, today.day + days, clock.hour, clock.minute, zone);
+      }
+      return time;
+    },
+  },
+  {
+    // "in 2 hours", "in 2.5h", "in 2h 30m", "in 1 day 3 hours", "in 45 minutes", "after 90 seconds"
+    name: 'duration',
+    pattern: new RegExp(`\\b(?:in|after)\\s+((?:${DURATION_PART}(?:\\s*,?\\s*(?:and\\s+)?)?)+)`, 'i'),
+    parse(m, now) {
+      let seconds = 0;
+      for (const part of m[1].matchAll(new RegExp(DURATION_PART, 'gi'))) {
+        seconds += parseFloat(part[1]) * UNITS[part[2].toLowerCase()];
+      }
+      return seconds > 0 ? now + seconds * 1000 : null;
+    },
+  },
+  {
+    // "resets 3pm", "reset at 3:00 PM (America/Los_Angeles)", "until 15:00"
+    name: 'clock',
+    pattern: new RegExp(`(?:\\b(?:at|until|by|resets?|renews?)\\s+(?:at\\s+)?(?:${CLOCK}))|(?:${CLOCK})`, 'i'),
+    parse(m, now, zone) {
+      // A bare 24-hour time ("took 15:00") is too vague without a leading word
+      if (m[9] !== undefined) return null;
+      const clock = clockFrom(m, 1) || clockFrom(m, 6);
+      if (!clock) return null;
+
+      const today = wallClock(now, zone);
+      let time = fromWallClock(today.year, today.month, today.day, clock.hour, clock.minute, zone);
+      if (time <= now) time = fromWallClock(today.year, today.month, today.day + 1, clock.hour, clock.minute, zone);
+      return time;
+    },
+  },
+];
+
+function parseResetTime(text, now = Date.now()) {
+  if (!text) return null;
+  const zone = findTimezone(text);
+
+  for (const rule of RULES) {
+    const m = text.match(rule.pattern);
+    if (!m) continue;
+    const time = rule.parse(m, now, zone);
+    if (time === null || isNaN(time)) continue;
+    return {
+      time: Math.max(time, now + MIN_WAIT_MS),
+      rule: rule.name,
+      match: m[0].trim(),
+      timezone: zone === null ? null : describeZone(zone),
+    };
+  }
+  return null;
+}
+
+module.exports = { parseResetTime };
@@ -3,17 +3,93 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execFileSync, spawnSync, spawn } = require('child_process');
+const readline = require('readline');
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+const { DEFAULT_NOTIFIERS, headlessNotifiers } = require('./notifiers');
+const { quietState } = require('./quiet-hours');
+const { analyzeHook } = require('./detection');
+const {
+  schemaFor,
+  schemaKeys,
+  getPath,
+  setPath,
+  unsetPath,
+  valueProblem,
+  validateConfig,
+  formatProblem,
+  defaults,
+  readConfigFile,
+  loadConfig,
+  writeConfigFile,
+  parseValue,
+} = require('./config');
+const { LOCALES, resolveLocale } = require('./messages');
+const linuxAudio = require('./linux-audio');
+const { controlRequest } = require('./control');
+const { captureTerminal, hasGraphicalSession, isHeadless } = require('./terminal');
+const { syncSettings, sharedState, findDismissal, publishDismissal, importSharedAlarms } = require('./sync');
+const {
+  CLAUDE_SETTINGS,
+  HOOK_MARKER,
+  STATUSLINE_MARKER,
+  readSettings,
+  updateSettings,
+  isOurHookEntry,
+  isOurStatusLine,
+  listBackups,
+  restoreBackup,
+} = require('./claude-settings');
+const { recordEvent, alarmFields, readHistory, summarizeHistory } = require('./history');
+const {
+  ALARMS_DIR,
+  MAX_AHEAD_MS,
+  readAlarm,
+  removeAlarm,
+  listAlarms,
+  newAlarmId,
+  isAlarmRunning,
+  armAlarm,
+  resumeAlarms,
+  stopAlarmProcess,
+} = require('./state');
 
 const HOME = os.homedir();
 const CONFIG_DIR = path.join(HOME, '.claude-alarm');
-const CLAUDE_SETTINGS = path.join(HOME, '.claude', 'settings.json');
-const PID_FILE = path.join(CONFIG_DIR, 'alarm.pid');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 
+// Standalone scripts copied to ~/.claude-alarm/ (the hook and daemon run from there)
+const SCRIPTS = [
+  'hook-handler.js',
+  'alarm-daemon.js',
+  'state.js',
+  'notifiers.js',
+  'quiet-hours.js',
+  'history.js',
+  'reset-time.js',
+  'detection.js',
+  'transcript.js',
+  'statusline.js',
+  'config.js',
+  'messages.js',
+  'linux-audio.js',
+  'control.js',
+  'terminal.js',
+  'actions.js',
+  'sync.js',
+];
+
+// Login entries that run `alarm-daemon.js --resume`
+const SYSTEMD_UNIT = path.join(HOME, '.config', 'systemd', 'user', 'claude-alarm-resume.service');
+const XDG_AUTOSTART = path.join(HOME, '.config', 'autostart', 'claude-alarm-resume.desktop');
+
 // ── Setup ────────────────────────────────────────────────────────────
 
-function setup() {
+async function setup(args = []) {
+  const interactive = process.stdin.isTTY && !args.includes('--yes');
+  const autostartArg = args.find((a) => a === '--autostart' || a.startsWith('--autostart='));
+  let withStatusLine = args.includes('--statusline');
+
   console.log('\n  claude-alarm setup\n');
 
   const platform = os.platform();
@@ -27,8 +103,9 @@ function setup() {
   fs.mkdirSync(CONFIG_DIR, { recursive: true });
 
   // Copy standalone scripts to ~/.claude-alarm/
-  fs.copyFileSync(path.join(__dirname, 'hook-handler.js'), path.join(CONFIG_DIR, 'hook-handler.js'));
-  fs.copyFileSync(path.join(__dirname, 'alarm-daemon.js'), path.join(CONFIG_DIR, 'alarm-daemon.js'));
+  for (const script of SCRIPTS) {
+    fs.copyFileSync(path.join(__dirname, script), path.join(CONFIG_DIR, script));
+  }
 
   // Merge with existing config (preserve user customizations on re-run)
   if (fs.existsSync(CONFIG_FILE)) {
@@ -37,16 +114,37 @@ function setup() {
       Object.assign(config, existing);
     } catch {}
   }
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+
+  // Push notifications (optional)
+  if (interactive) {
+    await configureNtfy(config);
+  } else if (!config.ntfy && process.env.NTFY_TOPIC) {
+    config.ntfy = ntfyFromEnv();
+    console.log('  ntfy: saved NTFY_* settings from the environment to config.json');
+  }
+
+  // Countdown in Claude Code's status line (optional)
+  if (!withStatusLine && interactive && !isOurStatusLine(readSettings().statusLine)) {
+    withStatusLine = await confirm('Show the alarm countdown in Claude Code\'s status line?');
+  }
+  if (withStatusLine) installStatusLine(config);
+
+  writeConfigFile(config);
   console.log('');
 
   // Install Claude Code hooks
   console.log('  Installing Claude Code hooks...');
   installHooks();
 
+  // Optionally re-arm pending alarms at login
+  if (autostartArg) {
+    console.log('\n  Installing login autostart...');
+    installAutostart(autostartArg.split('=')[1]);
+  }
+
   // Run test alarm
   console.log('\n  Running test alarm...');
-  spawnSync('node', [path.join(CONFIG_DIR, 'alarm-daemon.js'), '--now'], {
+  spawnSync(process.execPath, [path.join(CONFIG_DIR, 'alarm-daemon.js'), '--now'], {
     stdio: 'inherit',
   });
 
@@ -55,16 +153,131 @@ function setup() {
   console.log('  Run \'claude-alarm stop\' to dismiss an active alarm.\n');
 }
 
+// ── ntfy ─────────────────────────────────────────────────────────────
+
+function ntfyFromEnv() {
+  const env = process.env;
+  const ntfy = { topic: env.NTFY_TOPIC, url: env.NTFY_URL || 'https://ntfy.sh' };
+  if (env.NTFY_PRIORITY) ntfy.priority = env.NTFY_PRIORITY;
+  if (env.NTFY_TAGS) ntfy.tags = env.NTFY_TAGS;
+  return ntfy;
+}
+
+async function configureNtfy(config) {
+  const current = config.ntfy || (process.env.NTFY_TOPIC ? ntfyFromEnv() : {});
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  // Enter keeps the current value; secrets are never echoed back
+  const ask = (question, fallback, secret) =>
+    new Promise((resolve) => {
+      const hint = fallback ? ` [${secret ? 'keep current' : fallback}]` : '';
+      rl.question(`  ${question}${hint}: `, (answer) => resolve(answer.trim() || fallback || ''));
+    });
+
+  console.log('\n  Push notifications via ntfy (leave the topic empty to skip)');
+  const topic = await ask('ntfy topic', current.topic);
+  if (!topic) {
+    rl.close();
+    delete config.ntfy;
+    return;
+  }
+
+  const ntfy = { ...current, topic };
+  ntfy.url = await ask('Server URL', current.url || 'https://ntfy.sh');
+  ntfy.token = await ask('Access token (optional)', current.token, true);
+  if (!ntfy.token) {
+    delete ntfy.token;
+    ntfy.username = await ask('Username for basic auth (optional)', current.username);
+    if (ntfy.username) {
+      ntfy.password = await ask('Password', current.password, true);
+    } else {
+      delete ntfy.username;
+      delete ntfy.password;
+    }
+  }
+  // The buttons' requests are visible to anyone who can read the topic
+  if (ntfy.token || ntfy.username) {
+    const controlTopic = ntfy.controlTopic || `${topic}-control`;
+    const question = `Token for the buttons, allowed to write to ${controlTopic} only (optional)`;
+    ntfy.controlToken = await ask(question, current.controlToken, true);
+    if (!ntfy.controlToken) delete ntfy.controlToken;
+  }
+  rl.close();
+
+  config.ntfy = ntfy;
+  console.log(`  ntfy: publishing to ${ntfy.url}/${ntfy.topic} ✓`);
+}
+
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => rl.question(`\n  ${question} [y/N]: `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// ── Status line ──────────────────────────────────────────────────────
+
+function statusLineCommand() {
+  return `node "${path.join(CONFIG_DIR, 'statusline.js')}" ${STATUSLINE_MARKER}`;
+}
+
+// Point Claude Code's statusLine at our script. An existing command is kept in
+// config.statusLine.previous; our script runs it first and puts its segment after.
+function installStatusLine(config) {
+  let previous;
+  try {
+    const written = updateSettings((settings) => {
+      if (isOurStatusLine(settings.statusLine)) return false;
+      previous = settings.statusLine;
+      settings.statusLine = { type: 'command', command: statusLineCommand(), padding: (previous && previous.padding) || 0 };
+    });
+    if (!written) {
+      console.log('  = Status line (already installed)');
+      return;
+    }
+  } catch (err) {
+    console.log(`  Warning: Status line not installed: ${err.message}`);
+    return;
+  }
+
+  config.statusLine = previous ? { previous } : {};
+  console.log(`  + Status line added${previous ? ' (after your existing status line)' : ''}`);
+}
+
+// Put back whatever statusLine was there before setup
+function removeStatusLine() {
+  const config = readConfig();
+  const previous = config.statusLine && config.statusLine.previous;
+
+  try {
+    const written = updateSettings((settings) => {
+      if (!isOurStatusLine(settings.statusLine)) return false;
+      if (previous) {
+        settings.statusLine = previous;
+      } else {
+        delete settings.statusLine;
+      }
+    });
+    if (written) console.log(`  Removed status line${previous ? ' (restored your previous one)' : ''}`);
+  } catch (err) {
+    console.log(`  Warning: Could not update the status line: ${err.message}`);
+  }
+}
+
 // ── Uninstall ────────────────────────────────────────────────────────
 
 function uninstall() {
   console.log('\n  claude-alarm uninstall\n');
 
-  // Stop any running alarm
-  stopAlarm(true);
+  // Stop any running alarms
+  stopAllAlarms();
 
   // Remove hooks from Claude Code settings
   removeHooks();
+  removeStatusLine();
+
+  // Remove login autostart entries
+  removeAutostart();
 
   // Remove config directory
   if (fs.existsSync(CONFIG_DIR)) {
@@ -77,9 +290,12 @@ function uninstall() {
 
 // ── Manual Start ─────────────────────────────────────────────────────
 
-function manualStart(timeArg) {
+function manualStart(args) {
+  const label = takeOption(args, '--label');
+  const timeArg = args[0];
+
   if (!timeArg) {
-    console.log('\n  Usage: claude-alarm start <time>');
+    console.log('\n  Usage: claude-alarm start <time> [--label <name>]');
     console.log('  Examples: "4h", "30m", "90s", "240" (minutes)\n');
     process.exit(1);
   }
@@ -90,12 +306,6 @@ function manualStart(timeArg) {
     process.exit(1);
   }
 
-  // Check if alarm already running
-  if (isAlarmRunning()) {
-    console.log('\n  Alarm already active. Run \'claude-alarm stop\' first.\n');
-    process.exit(1);
-  }
-
   if (!fs.existsSync(CONFIG_DIR)) {
     fs.mkdirSync(CONFIG_DIR, { recursive: true });
   }
@@ -103,64 +313,871 @@ function manualStart(timeArg) {
   // Ensure config exists
   if (!fs.existsSync(CONFIG_FILE)) {
     const config = detectConfig(os.platform());
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    writeConfigFile(config);
   }
 
-  // Ensure alarm daemon exists
-  const daemonPath = path.join(CONFIG_DIR, 'alarm-daemon.js');
-  if (!fs.existsSync(daemonPath)) {
-    fs.copyFileSync(path.join(__dirname, 'alarm-daemon.js'), daemonPath);
+  ensureScripts();
+
+  const now = Date.now();
+  const alarm = armAlarm({
+    id: newAlarmId(label),
+    label,
+    source: 'start',
+    matchedText: null,
+    armedAt: now,
+    targetTime: now + Math.round(minutes * 60 * 1000),
+    terminal: captureTerminal(process.pid),
+  });
+  recordEvent('arm', alarmFields(alarm));
+
+  console.log(`\n  Alarm "${alarm.id}" set for ${formatClock(alarm.targetTime)} (${formatDuration(minutes)} from now).`);
+  console.log(`  Run 'claude-alarm stop ${alarm.id}' to cancel.\n`);
+}
+
+// ── Resume ───────────────────────────────────────────────────────────
+
+function resume() {
+  ensureScripts();
+
+  const now = Date.now();
+  const resumed = resumeAlarms();
+  const imported = importSharedAlarms(loadCliConfig(), now);
+
+  if (resumed.length === 0 && imported.length === 0) {
+    console.log('\n  No alarms to resume.\n');
+    return;
+  }
+  if (imported.length > 0) {
+    console.log('');
+    reportImported(imported, now);
+  }
+  if (resumed.length === 0) {
+    console.log('');
+    return;
   }
 
-  const daemon = spawn('node', [daemonPath, String(minutes)], {
-    detached: true,
-    stdio: 'ignore',
-  });
-  daemon.unref();
+  console.log(`\n  Resumed ${resumed.length === 1 ? '1 alarm' : resumed.length + ' alarms'}:\n`);
+  for (const alarm of resumed) {
+    const remaining = (alarm.targetTime - now) / 60000;
+    if (remaining > 0) {
+      console.log(`    ${alarmTitle(alarm)} -- fires at ${formatClock(alarm.targetTime)} (${formatDuration(remaining)} from now)`);
+    } else {
+      console.log(`    ${alarmTitle(alarm)} -- reset passed at ${formatClock(alarm.targetTime)}, firing now`);
+    }
+  }
+  console.log('');
+}
 
-  const targetTime = new Date(Date.now() + minutes * 60 * 1000);
-  const timeStr = targetTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+// ── Sync ─────────────────────────────────────────────────────────────
 
-  console.log(`\n  Alarm set for ${timeStr} (${formatDuration(minutes)} from now).`);
-  console.log('  Run \'claude-alarm stop\' to cancel.\n');
+const SYNC_WATCH_INTERVAL_MS = 30 * 1000;
+
+// Show what other machines shared, and arm the alarms still ahead. --watch keeps checking.
+function syncCommand(args) {
+  const config = loadCliConfig();
+  const settings = syncSettings(config);
+  if (!settings) {
+    console.log('\n  Sharing alarms between machines is off. Point it at a synced folder:');
+    console.log('    claude-alarm config set sync.dir ~/Sync/claude-alarm\n');
+    process.exit(1);
+  }
+  ensureScripts();
+
+  const now = Date.now();
+  console.log(`\n  Shared folder: ${settings.dir} (this machine: ${settings.machine})\n`);
+  const machines = sharedState(config);
+  if (machines.length === 0) console.log('  No other machine has shared an alarm yet.');
+  for (const { machine, alarms } of machines) {
+    const recent = alarms.filter((a) => a.resetTime > now - 24 * 3600 * 1000);
+    console.log(recent.length === 0 ? `  ${machine}: no recent alarms` : `  ${machine}:`);
+    for (const shared of recent) {
+      const dismissal = findDismissal(config, shared.id, shared.resetTime);
+      const state = dismissal ? `dismissed on ${dismissal.machine}` : shared.resetTime <= now ? 'reset passed' : 'pending';
+      const project = shared.project ? `  ${shared.project}` : '';
+      console.log(`    ${shared.id.padEnd(18)} reset ${formatClock(shared.resetTime)}  ${state}${project}`);
+    }
+  }
+  reportImported(importSharedAlarms(config, now), now);
+
+  if (!args.includes('--watch')) {
+    console.log('');
+    return;
+  }
+  console.log(`\n  Watching for alarms from other machines every ${SYNC_WATCH_INTERVAL_MS / 1000}s (Ctrl-C to stop).`);
+  setInterval(() => reportImported(importSharedAlarms(loadConfig().config)), SYNC_WATCH_INTERVAL_MS);
+}
+
+function reportImported(imported, now = Date.now()) {
+  for (const alarm of imported) {
+    const remaining = formatDuration((alarm.targetTime - now) / 60000);
+    console.log(`  Armed "${alarm.id}" from ${alarm.syncedFrom}: fires at ${formatClock(alarm.targetTime)} (${remaining} from now)`);
+  }
+}
+
+// ── Snooze ───────────────────────────────────────────────────────────
+
+// The alarm a command acts on: the one named by `id`, else the only candidate.
+// `prefer` narrows the candidates when no id is given. Exits when there is no single answer.
+function pickAlarm(alarms, id, usage, prefer = () => true) {
+  if (alarms.length === 0) {
+    console.log('\n  No active alarm.\n');
+    process.exit(0);
+  }
+  if (id) {
+    const alarm = alarms.find((a) => a.id === id);
+    if (!alarm) {
+      console.log(`\n  No active alarm with id "${id}". Active: ${alarms.map((a) => a.id).join(', ')}\n`);
+      process.exit(1);
+    }
+    return alarm;
+  }
+
+  const preferred = alarms.filter(prefer);
+  const candidates = preferred.length > 0 ? preferred : alarms;
+  if (candidates.length > 1) {
+    console.log(`\n  Several alarms are active. Run '${usage}' with one of:\n`);
+    for (const a of candidates) console.log(`    ${alarmTitle(a)}`);
+    console.log('');
+    process.exit(1);
+  }
+  return candidates[0];
+}
+
+// Ask the alarm's daemon to do `action`. Resolves to the response, or null when the
+// daemon can't be reached and the caller should fall back to rewriting the record.
+// Exits when the daemon refuses.
+async function askDaemon(alarm, action, body) {
+  if (!isAlarmRunning(alarm)) return null;
+  try {
+    return await controlRequest(alarm, action, { ...body, via: 'cli' });
+  } catch (err) {
+    if (err.status === 400 || err.status === 409) {
+      console.log(`\n  ${alarm.id}: ${err.message}\n`);
+      process.exit(1);
+    }
+    return null;
+  }
+}
+
+async function snooze(args) {
+  const durationArg = args.find((a) => parseTime(a) > 0);
+  const id = args.find((a) => !a.startsWith('--') && a !== durationArg);
+  const minutes = durationArg ? parseTime(durationArg) : loadConfig().config.snoozeMinutes;
+  const now = Date.now();
+
+  // Prefer the alarm that is ringing right now
+  const alarm = pickAlarm(
+    listAlarms().filter((a) => !a.legacy),
+    id,
+    'claude-alarm snooze <id> [duration]',
+    (a) => a.targetTime <= now
+  );
+
+  let until;
+  const response = await askDaemon(alarm, 'snooze', { minutes });
+  if (response) {
+    until = response.alarm.targetTime;
+  } else {
+    ensureScripts();
+
+    // A ringing alarm rings again after the snooze; a pending one is pushed back by it
+    const from = alarm.targetTime > now ? alarm.targetTime : now;
+    until = from + Math.round(minutes * 60 * 1000);
+    armAlarm({ ...alarm, targetTime: until, snoozedUntil: until, snoozes: (alarm.snoozes || 0) + 1, firedAt: null });
+    recordEvent('snooze', { ...alarmFields(alarm), via: 'cli', minutes });
+  }
+
+  console.log(`\n  Alarm "${alarm.id}" snoozed until ${formatClock(until)} (${formatDuration((until - now) / 60000)} from now).\n`);
+}
+
+// ── Extend / reschedule ──────────────────────────────────────────────
+
+async function extend(args) {
+  const durationArg = args.find((a) => parseTime(a) > 0);
+  const id = args.find((a) => !a.startsWith('--') && a !== durationArg);
+  if (!durationArg) {
+    console.log('\n  Usage: claude-alarm extend [id] <duration>, e.g. "claude-alarm extend 30m"\n');
+    process.exit(1);
+  }
+  const minutes = parseTime(durationArg);
+  const now = Date.now();
+  const alarm = pickAlarm(listAlarms().filter((a) => !a.legacy), id, 'claude-alarm extend <id> <duration>');
+  if (alarm.targetTime <= now) {
+    console.log(`\n  Alarm "${alarm.id}" is already ringing. Run 'claude-alarm snooze ${alarm.id}' instead.\n`);
+    process.exit(1);
+  }
+
+  const response = await askDaemon(alarm, 'extend', { minutes });
+  const time = response ? response.alarm.targetTime : moveAlarm(alarm, alarm.targetTime + Math.round(minutes * 60 * 1000));
+  console.log(`\n  Alarm "${alarm.id}" now fires at ${formatClock(time)} (${formatDuration((time - now) / 60000)} from now).\n`);
+}
+
+async function reschedule(args) {
+  const positional = args.filter((a) => !a.startsWith('--'));
+  const timeArg = positional.pop();
+  const time = timeArg !== undefined ? parseTargetTime(timeArg) : null;
+  const now = Date.now();
+  if (!(time > now)) {
+    console.log('\n  Usage: claude-alarm reschedule [id] <time>, e.g. "15:30", "45m" or "2026-10-20T09:00"\n');
+    process.exit(1);
+  }
+  if (time - now > MAX_AHEAD_MS) {
+    console.log(`\n  "${timeArg}" is more than ${MAX_AHEAD_MS / 86400000} days away.\n`);
+    process.exit(1);
+  }
+  const alarm = pickAlarm(listAlarms().filter((a) => !a.legacy), positional[0], 'claude-alarm reschedule <id> <time>');
+
+  const response = await askDaemon(alarm, 'reschedule', { time });
+  const target = response ? response.alarm.targetTime : moveAlarm(alarm, time);
+  console.log(`\n  Alarm "${alarm.id}" now fires at ${formatClock(target)} (${formatDuration((target - now) / 60000)} from now).\n`);
+}
+
+// Without a daemon to ask: rewrite the record and start a new daemon for it
+function moveAlarm(alarm, time) {
+  ensureScripts();
+  armAlarm({ ...alarm, targetTime: time, firedAt: null, deferredUntil: null, warningsSent: [] });
+  recordEvent('reschedule', {
+    ...alarmFields({ ...alarm, targetTime: time }),
+    via: 'cli',
+    from: new Date(alarm.targetTime).toISOString(),
+  });
+  return time;
+}
+
+// "15:30" (the next time the clock shows it), a duration from now ("45m", "2h"), or a date
+function parseTargetTime(str) {
+  const clock = str.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const time = parseNow(str);
+    return time > Date.now() ? time : time + 24 * 3600 * 1000;
+  }
+  if (/^\d+(\.\d+)?[hms]$/i.test(str)) return Date.now() + Math.round(parseTime(str) * 60 * 1000);
+  return parseNow(str);
 }
 
 // ── Stop ─────────────────────────────────────────────────────────────
 
-function stop() {
-  stopAlarm(false);
+async function stop(args) {
+  const alarms = listAlarms();
+  const all = args.includes('--all');
+  const id = args.find((a) => !a.startsWith('--'));
+
+  if (alarms.length === 0) {
+    console.log('\n  No active alarm.\n');
+    return;
+  }
+
+  let targets;
+  if (all) {
+    targets = alarms;
+  } else if (id) {
+    targets = alarms.filter((a) => a.id === id);
+    if (targets.length === 0) {
+      console.log(`\n  No active alarm with id "${id}". Active: ${alarms.map((a) => a.id).join(', ')}\n`);
+      process.exit(1);
+    }
+  } else if (alarms.length === 1) {
+    targets = alarms;
+  } else {
+    console.log('\n  Several alarms are active:\n');
+    for (const alarm of alarms) console.log(`    ${alarmTitle(alarm)}`);
+    console.log('\n  Run \'claude-alarm stop <id>\' or \'claude-alarm stop --all\'.\n');
+    process.exit(1);
+  }
+
+  console.log('');
+  for (const alarm of targets) {
+    // The daemon records the dismissal itself when it can be asked
+    let stopped = Boolean(await askDaemon(alarm, 'stop'));
+    if (!stopped) {
+      stopped = stopAlarmProcess(alarm);
+      recordEvent('dismiss', { ...alarmFields(alarm), via: 'cli' });
+      publishDismissal(loadConfig().config, alarm, 'cli');
+    }
+    console.log(stopped ? `  Alarm "${alarm.id}" dismissed.` : `  Alarm "${alarm.id}" was already stopped.`);
+  }
+  console.log('');
+}
+
+function stopAllAlarms() {
+  for (const alarm of listAlarms()) stopAlarmProcess(alarm);
 }
 
-function stopAlarm(silent) {
-  if (!fs.existsSync(PID_FILE)) {
-    if (!silent) console.log('\n  No active alarm.\n');
+// ── Status ───────────────────────────────────────────────────────────
+
+async function status() {
+  const alarms = listAlarms();
+  const config = loadCliConfig();
+  const now = Date.now();
+
+  if (alarms.length === 0) {
+    console.log('\n  No active alarm.\n');
     return;
   }
 
+  console.log(`\n  ${alarms.length === 1 ? '1 alarm' : alarms.length + ' alarms'} pending:`);
+
+  for (let alarm of alarms) {
+    // The daemon's own view is the freshest, when it answers
+    const live = await askDaemon(alarm, 'status');
+    if (live) alarm = live.alarm;
+
+    if (isAlarmRunning(alarm)) {
+      const port = live ? `, control port: ${alarm.controlPort}` : '';
+      console.log(`\n  ${alarmTitle(alarm)} (PID: ${alarm.pid}${port})`);
+    } else {
+      console.log(`\n  ${alarmTitle(alarm)} (not running -- run 'claude-alarm resume')`);
+    }
+
+    // Older daemons only wrote the PID file, so the reset time may be missing
+    if (alarm.targetTime) {
+      const remaining = (alarm.targetTime - now) / 60000;
+      const snoozed = alarm.snoozedUntil && alarm.snoozedUntil === alarm.targetTime;
+      const manual = !alarm.source || alarm.source === 'start';
+      const what = snoozed ? 'Snoozed until' : manual ? 'Rings at' : 'Credits reset at';
+      const timeStr = formatClock(alarm.targetTime);
+      if (remaining > 0) {
+        console.log(`    ${what} ${timeStr} (${formatDuration(remaining)} from now).`);
+        const quietNote = describeQuiet(config.quietHours, alarm.targetTime);
+        if (quietNote) console.log(quietNote);
+        const warningNote = describeWarnings(config.warnings, alarm, now);
+        if (warningNote) console.log(warningNote);
+      } else if (alarm.deferredUntil > now) {
+        console.log(`    ${what} ${timeStr} -- deferred to ${formatClock(alarm.deferredUntil)} (quiet hours).`);
+      } else if (isAlarmRunning(alarm)) {
+        console.log(`    ${what} ${timeStr} -- the alarm is ringing.`);
+      } else {
+        console.log(`    ${what} ${timeStr} -- missed while nothing was running.`);
+      }
+      if (snoozed && alarm.snoozes > 1) console.log(`    Snoozed ${alarm.snoozes} times.`);
+    }
+    if (alarm.armedAt) {
+      console.log(`    Armed by: ${describeSource(alarm.source, alarm.syncedFrom)} at ${formatClock(alarm.armedAt)}`);
+    }
+    if (alarm.cwd) {
+      const session = alarm.sessionId ? ` (session ${String(alarm.sessionId).slice(0, 8)})` : '';
+      console.log(`    Project: ${alarm.cwd}${session}`);
+    }
+    if (alarm.matchedText) console.log(`    Matched: "${alarm.matchedText}"`);
+    const resetNote = describeResetRule(alarm);
+    if (resetNote) console.log(`    Reset time: ${resetNote}`);
+  }
+
+  console.log('\n  Run \'claude-alarm stop <id>\' to dismiss.\n');
+}
+
+// ── History ──────────────────────────────────────────────────────────
+
+function history(args) {
+  const since = takeOption(args, '--since');
+  const event = takeOption(args, '--event');
+  const project = takeOption(args, '--project');
+  const limit = parseInt(takeOption(args, '--limit')) || 20;
+  const by = takeOption(args, '--by') || 'day';
+
+  let entries = readHistory();
+
+  if (since) {
+    const from = parseSince(since);
+    if (from === null) {
+      console.log('\n  Invalid --since. Use a duration like "7d", "2w", "12h", or a date like "2026-10-01".\n');
+      process.exit(1);
+    }
+    entries = entries.filter((e) => Date.parse(e.time) >= from);
+  }
+  if (event) entries = entries.filter((e) => e.event === event);
+  if (project) entries = entries.filter((e) => e.cwd && e.cwd.toLowerCase().includes(project.toLowerCase()));
+
+  if (args.includes('--json')) {
+    for (const entry of entries) console.log(JSON.stringify(entry));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log('\n  No history yet.\n');
+    return;
+  }
+
+  if (args.includes('--summary')) {
+    printHistorySummary(summarizeHistory(entries, by === 'week' ? 'week' : 'day'));
+    return;
+  }
+
+  const shown = entries.slice(-limit);
+  console.log(`\n  Last ${shown.length} of ${entries.length} events:\n`);
+  for (const entry of shown) {
+    const when = new Date(entry.time);
+    const date = `${when.toLocaleDateString('en-CA')} ${formatClock(when)}`;
+    const details = [];
+    if (entry.cwd) details.push(path.basename(entry.cwd));
+    if (entry.resetTime && ['detect', 'arm', 'fire'].includes(entry.event)) {
+      details.push(`reset ${formatClock(Date.parse(entry.resetTime))}`);
+    }
+    if (entry.event === 'reschedule') {
+      details.push(`${formatClock(Date.parse(entry.from))} -> ${formatClock(Date.parse(entry.resetTime))}`);
+    }
+    if (entry.event === 'action') {
+      const outcome = entry.error
+        ? `failed: ${entry.error}`
+        : entry.timedOut
+          ? 'timed out'
+          : entry.signal
+            ? `killed by ${entry.signal}`
+            : `exit ${entry.exitCode}`;
+      details.push(`${entry.action}: ${outcome}${entry.error ? '' : ` after ${formatDuration(entry.durationMs / 60000)}`}`);
+    }
+    if (entry.via) details.push(`via ${entry.via}`);
+    if (entry.minutes) details.push(`for ${formatDuration(entry.minutes)}`);
+    if (entry.minutesLeft) details.push(`${formatDuration(entry.minutesLeft)} before the reset`);
+    if (entry.toolName) details.push(entry.toolName);
+    if (entry.detectRule) details.push(`${entry.detectRule} rule`);
+    if (entry.resetRule && entry.event === 'detect') {
+      details.push(`reset from ${entry.resetRule}${entry.resetFrom === 'transcript' ? ' in transcript' : ''}`);
+    }
+    if (entry.updated) details.push('updated');
+    if (entry.event === 'detect' && entry.matchedText) details.push(`"${entry.matchedText.slice(0, 60)}"`);
+    console.log(`  ${date}  ${entry.event.padEnd(10)} ${(entry.alarmId || entry.hookEvent || '').padEnd(18)} ${details.join('  ')}`);
+  }
+  console.log('\n  Run \'claude-alarm history --summary\' for totals.\n');
+}
+
+function printHistorySummary(summary) {
+  console.log(`\n  Limits hit: ${summary.limitsHit}`);
+  for (const [period, count] of summary.perPeriod) {
+    console.log(`    ${period}  ${'█'.repeat(Math.min(count, 40))} ${count}`);
+  }
+  if (summary.averageLockoutMinutes !== null) {
+    console.log(`\n  Average lockout: ${formatDuration(summary.averageLockoutMinutes)}`);
+  }
+  if (summary.projects.length > 0) {
+    console.log('\n  Most affected projects:');
+    for (const [name, count] of summary.projects.slice(0, 5)) console.log(`    ${name} (${count})`);
+  }
+  console.log(`\n  Alarms fired: ${summary.fired}, dismissed: ${summary.dismissed}, snoozed: ${summary.snoozed}\n`);
+}
+
+function parseSince(str) {
+  const match = str.trim().toLowerCase().match(/^(\d+)([hdw])$/);
+  if (match) {
+    const hours = { h: 1, d: 24, w: 24 * 7 }[match[2]];
+    return Date.now() - parseInt(match[1]) * hours * 3600 * 1000;
+  }
+  const date = Date.parse(str);
+  return isNaN(date) ? null : date;
+}
+
+// ── Replay ───────────────────────────────────────────────────────────
+
+// Run the hook's decision on a captured payload, without arming anything
+function replay(args) {
+  const nowArg = takeOption(args, '--now');
+  const asJson = args.includes('--json');
+  const source = args.find((a) => !a.startsWith('--'));
+
+  if (!source) {
+    console.log('\n  Usage: claude-alarm replay <payload.json|-> [--now <time>] [--json]\n');
+    console.log('  Save payloads as the hook sees them with "savePayloads": true in config.json.');
+    console.log(`  They are kept in ${path.join(CONFIG_DIR, 'payloads')}.\n`);
+    process.exit(1);
+  }
+
+  let data;
   try {
-    const pid = parseInt(fs.readFileSync(PID_FILE, 'utf8').trim());
-    process.kill(pid, 'SIGTERM');
-    if (!silent) console.log('\n  Alarm dismissed.\n');
-  } catch {
-    if (!silent) console.log('\n  Alarm was already stopped.\n');
+    data = JSON.parse(fs.readFileSync(source === '-' ? 0 : source, 'utf8'));
+  } catch (err) {
+    console.log(`\n  Could not read a JSON payload from ${source === '-' ? 'stdin' : source}: ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const now = nowArg ? parseNow(nowArg) : Date.now();
+  if (now === null) {
+    console.log('\n  Invalid --now. Use an ISO time like "2026-10-19T14:30:00Z" or a clock time like "14:30".\n');
+    process.exit(1);
+  }
+
+  const trace = [];
+  const decision = analyzeHook(data, loadCliConfig(), { now, alarms: listAlarms(), trace });
+
+  if (asJson) {
+    console.log(JSON.stringify({ now: new Date(now).toISOString(), trace, decision }, null, 2));
+    return;
+  }
+
+  const hookEvent = data.hook_event_name || (data.error ? 'PostToolUseFailure' : 'Notification');
+  console.log(`\n  Hook event: ${hookEvent}${data.tool_name ? ` (tool: ${data.tool_name})` : ''}`);
+  if (nowArg) console.log(`  Replayed as of: ${new Date(now).toString()}`);
+  console.log('\n  Detection:');
+  for (const line of trace) console.log(`    ${line}`);
+
+  if (!decision) {
+    console.log('\n  Not a rate limit -- the hook would exit without arming an alarm.\n');
+    return;
+  }
+
+  const { detected, limit, existing, targetTime } = decision;
+  console.log(`\n  Searched: "${detected.text}"`);
+  if (decision.keptExisting) {
+    console.log('  Reset time: none in the message -- keeps the pending alarm\'s time');
+  } else {
+    console.log(`  Reset time: ${describeResetRule(decision)}`);
+  }
+  console.log(`  Alarm: ${limit.id} (${existing ? 'updates the pending alarm' : 'new alarm'})`);
+  const remaining = (targetTime - now) / 60000;
+  console.log(`  Would fire at: ${new Date(targetTime).toString()} (${formatDuration(remaining)} later)\n`);
+}
+
+// An ISO time, epoch milliseconds, or a clock time today
+function parseNow(str) {
+  if (/^\d{10,13}$/.test(str)) return str.length === 10 ? parseInt(str) * 1000 : parseInt(str);
+  const clock = str.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const date = new Date();
+    date.setHours(parseInt(clock[1]), parseInt(clock[2]), 0, 0);
+    return date.getTime();
   }
+  const time = Date.parse(str);
+  return isNaN(time) ? null : time;
+}
+
+// ── Config ───────────────────────────────────────────────────────────
 
+async function configCommand(args) {
+  const [action, key, ...rest] = args;
+
+  let saved;
   try {
-    fs.unlinkSync(PID_FILE);
-  } catch {}
+    saved = readConfigFile();
+  } catch (err) {
+    if (action !== 'edit') {
+      console.log(`\n  ${CONFIG_FILE} is not valid JSON: ${err.message}`);
+      console.log('  Run \'claude-alarm config edit\' to fix it.\n');
+      process.exit(1);
+    }
+  }
+
+  const requireKey = () => {
+    const entry = key && schemaFor(key);
+    if (!entry || entry.internal) {
+      console.log(`\n  Unknown key "${key || ''}". Run 'claude-alarm config list' to see them.\n`);
+      process.exit(1);
+    }
+    return entry;
+  };
+
+  switch (action) {
+    case undefined:
+    case 'list': {
+      console.log('');
+      for (const name of schemaKeys()) {
+        const value = getPath(saved, name);
+        const entry = schemaFor(name);
+        const shown = value === undefined ? entry.default : value;
+        if (shown === undefined) continue;
+        const note = value === undefined ? '  (default)' : '';
+        console.log(`  ${name} = ${formatConfigValue(entry, shown)}${note}`);
+      }
+      const problems = validateConfig(saved);
+      if (problems.length > 0) {
+        console.log('');
+        for (const problem of problems) console.log(`  Warning: ${formatProblem(problem)}`);
+      }
+      console.log(`\n  File: ${CONFIG_FILE}\n`);
+      break;
+    }
+
+    case 'get': {
+      const entry = requireKey();
+      const value = getPath(saved, key);
+      const shown = value === undefined ? entry.default : value;
+      if (shown !== undefined) console.log(typeof shown === 'string' ? shown : JSON.stringify(shown, null, 2));
+      break;
+    }
+
+    case 'set': {
+      const entry = requireKey();
+      if (rest.length === 0) {
+        console.log(`\n  Usage: claude-alarm config set ${key} <value>\n`);
+        process.exit(1);
+      }
+      const value = parseValue(key, rest.join(' '));
+      const problem = valueProblem(entry, value);
+      const updated = JSON.parse(JSON.stringify(saved));
+      setPath(updated, key, value);
+      const nested = validateConfig(updated).filter(
+        (p) => p.key === key || p.key.startsWith(`${key}.`)
+      );
+      if (problem || nested.length > 0) {
+        console.log(`\n  Not saved: ${problem ? `${key} ${problem}` : formatProblem(nested[0])}\n`);
+        process.exit(1);
+      }
+      writeConfigFile(updated);
+      console.log(`\n  ${key} = ${formatConfigValue(entry, value)}\n`);
+      break;
+    }
+
+    case 'unset': {
+      // Unknown keys can be unset too -- that's how a typo gets cleaned up
+      const entry = key && getPath(saved, key) !== undefined && !schemaFor(key) ? {} : requireKey();
+      unsetPath(saved, key);
+      writeConfigFile(saved);
+      const fallback = entry.default === undefined ? 'unset' : `back to the default (${formatConfigValue(entry, entry.default)})`;
+      console.log(`\n  ${key} is ${fallback}.\n`);
+      break;
+    }
+
+    case 'reset': {
+      const sure =
+        args.includes('--yes') ||
+        (process.stdin.isTTY && (await confirm('Replace config.json with the defaults? Your ntfy and other settings will be lost.')));
+      if (!sure) {
+        console.log('\n  Nothing changed. Pass --yes to reset without asking.\n');
+        return;
+      }
+      console.log('');
+      const config = detectConfig(os.platform());
+      if (saved.statusLine) config.statusLine = saved.statusLine; // Setup's record of your own status line
+      writeConfigFile(config);
+      console.log('\n  config.json reset to the defaults.\n');
+      break;
+    }
+
+    case 'edit': {
+      if (!fs.existsSync(CONFIG_FILE)) writeConfigFile(detectConfig(os.platform()));
+      const editor = process.env.VISUAL || process.env.EDITOR || (os.platform() === 'win32' ? 'notepad' : 'vi');
+      spawnSync(`${editor} "${CONFIG_FILE}"`, { stdio: 'inherit', shell: true });
+
+      try {
+        const problems = validateConfig(readConfigFile());
+        if (problems.length === 0) {
+          console.log('\n  config.json is valid.\n');
+          return;
+        }
+        console.log('');
+        for (const problem of problems) console.log(`  Warning: ${formatProblem(problem)}`);
+        console.log('\n  Invalid values are ignored in favour of the defaults.\n');
+      } catch (err) {
+        console.log(`\n  config.json is not valid JSON: ${err.message}`);
+        console.log('  The alarm uses the defaults until it is fixed.\n');
+      }
+      process.exitCode = 1;
+      break;
+    }
+
+    default:
+      console.log('\n  Usage: claude-alarm config list|get <key>|set <key> <value>|unset <key>|reset|edit\n');
+      process.exit(1);
+  }
 }
 
-// ── Status ───────────────────────────────────────────────────────────
+function formatConfigValue(entry, value) {
+  if (entry.secret && value) return '********';
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
 
-function status() {
-  if (!isAlarmRunning()) {
-    console.log('\n  No active alarm.\n');
+// ── Doctor ───────────────────────────────────────────────────────────
+
+// Command-line tools each notifier backend uses, per platform. Any one of a list will do.
+const NOTIFIER_TOOLS = {
+  darwin: { desktop: [['osascript']], chime: [['afplay']], voice: [['say']], dialog: [['osascript']] },
+  linux: {
+    desktop: [['notify-send']],
+    chime: [Object.keys(linuxAudio.PLAYERS)],
+    voice: [Object.values(linuxAudio.ENGINES).flatMap((engine) => engine.commands)],
+    dialog: [['zenity', 'kdialog']],
+  },
+  win32: { voice: [['powershell']], dialog: [['powershell']] },
+};
+
+function doctor(args) {
+  const fix = args.includes('--fix');
+  const results = [];
+  // ok: true (pass), false (fail) or 'warn'. `repair` runs with --fix.
+  const report = (ok, label, hint, repair) => results.push({ ok, label, hint, repair });
+
+  console.log('\n  claude-alarm doctor\n');
+
+  // Node on the PATH the hook runs with
+  const major = parseInt(process.versions.node);
+  report(major >= 16, `Node.js ${process.version}`, major >= 16 ? null : 'claude-alarm needs Node.js 16 or newer');
+  const nodePath = commandPath('node');
+  if (nodePath) {
+    report(true, `node on PATH (${nodePath})`);
+  } else {
+    report(false, 'node is not on PATH -- the hooks run "node ..." and will fail', 'Add the directory of your node binary to PATH in your shell profile');
+  }
+
+  // Scripts copied to ~/.claude-alarm/
+  const missing = [];
+  const outdated = [];
+  for (const script of SCRIPTS) {
+    const installed = path.join(CONFIG_DIR, script);
+    if (!fs.existsSync(installed)) missing.push(script);
+    else if (fileHash(installed) !== fileHash(path.join(__dirname, script))) outdated.push(script);
+  }
+  if (missing.length === 0 && outdated.length === 0) {
+    report(true, `Scripts in ~/.claude-alarm/ match this version (${packageVersion()})`);
+  } else {
+    const problems = [];
+    if (missing.length) problems.push(`missing: ${missing.join(', ')}`);
+    if (outdated.length) problems.push(`outdated: ${outdated.join(', ')}`);
+    report(false, `Scripts in ~/.claude-alarm/ -- ${problems.join('; ')}`, 'Redeploy them from this package', () => {
+      fs.mkdirSync(CONFIG_DIR, { recursive: true });
+      for (const script of [...missing, ...outdated]) {
+        fs.copyFileSync(path.join(__dirname, script), path.join(CONFIG_DIR, script));
+      }
+      return `Copied ${missing.length + outdated.length} script(s)`;
+    });
+  }
+
+  // Hooks in ~/.claude/settings.json
+  const settingsState = readSettingsState();
+  if (settingsState === 'invalid') {
+    report(false, '~/.claude/settings.json is not valid JSON', 'Fix it by hand or run \'claude-alarm restore-settings\'');
+  } else {
+    const settings = readSettings();
+    const hooks = settings.hooks || {};
+    const absent = ['Notification', 'PostToolUseFailure'].filter(
+      (event) =>
+        !(hooks[event] || []).some((entry) => entry.hooks && entry.hooks.some((h) => h.command === hookCommand()))
+    );
+    if (absent.length === 0) {
+      report(true, 'Hooks registered for Notification and PostToolUseFailure');
+    } else {
+      report(false, `Hooks missing or outdated: ${absent.join(', ')}`, 'Reinstall the hooks', () => {
+        installHooks();
+        return 'Reinstalled the hooks';
+      });
+    }
+    if (isOurStatusLine(settings.statusLine)) report(true, 'Status line installed');
+  }
+
+  // Config
+  const configText = fs.existsSync(CONFIG_FILE) ? fs.readFileSync(CONFIG_FILE, 'utf8') : null;
+  let config = {};
+  if (configText === null) {
+    report(false, 'No ~/.claude-alarm/config.json', 'Run \'claude-alarm setup\'');
+  } else {
+    try {
+      config = JSON.parse(configText);
+      const problems = validateConfig(config);
+      if (problems.length === 0) {
+        report(true, 'config.json is valid');
+      } else {
+        for (const problem of problems) {
+          const hint = schemaFor(problem.key) ? `claude-alarm config unset ${problem.key}` : 'Remove or rename the key';
+          report(false, `config.json ${formatProblem(problem)}`, hint);
+        }
+      }
+    } catch (err) {
+      report(false, `config.json is not valid JSON (${err.message})`, 'Edit ~/.claude-alarm/config.json or re-run setup');
+    }
+  }
+
+  // Tools the configured notifiers need -- on Linux, the chosen speech engine and player if any
+  const tools = { ...NOTIFIER_TOOLS[os.platform()] };
+  if (os.platform() === 'linux') {
+    const engine = linuxAudio.ENGINES[config.speech && config.speech.engine];
+    const player = config.sound && config.sound.player;
+    if (engine && engine.commands.length > 0) tools.voice = [engine.commands];
+    if (linuxAudio.PLAYERS[player]) tools.chime = [[player]];
+  }
+  let notifiers = config.notifiers || DEFAULT_NOTIFIERS;
+  if (isHeadless(config.headless, captureTerminal(process.pid))) {
+    notifiers = headlessNotifiers(notifiers);
+    report(true, 'No graphical session: alarms ring in the terminal they came from');
+  }
+  const names = notifiers.map((entry) => (typeof entry === 'string' ? entry : entry && entry.type));
+  for (const name of names) {
+    for (const choices of tools[name] || []) {
+      const found = choices.find(commandExists);
+      if (found) report(true, `${name}: ${found}`);
+      else report('warn', `${name}: none of ${choices.join(', ')} found`, `Install one, or remove "${name}" from notifiers`);
+    }
+  }
+
+  // Alarm records
+  for (const problem of alarmRecordProblems()) report(problem.ok, problem.label, problem.hint, problem.repair);
+
+  // Report
+  for (const result of results) {
+    const mark = result.ok === true ? '✓' : result.ok === 'warn' ? '!' : '✗';
+    console.log(`  ${mark} ${result.label}`);
+    if (result.ok !== true && result.hint) console.log(`      Fix: ${result.hint}`);
+  }
+
+  const failures = results.filter((r) => r.ok === false);
+  const repairable = failures.filter((r) => r.repair);
+  if (failures.length === 0) {
+    console.log('\n  Everything looks good.\n');
     return;
   }
 
-  const pid = parseInt(fs.readFileSync(PID_FILE, 'utf8').trim());
-  console.log(`\n  Alarm is active (PID: ${pid}).`);
-  console.log('  Run \'claude-alarm stop\' to dismiss.\n');
+  if (fix && repairable.length > 0) {
+    console.log('\n  Fixing...');
+    for (const result of repairable) console.log(`  ${result.repair()}`);
+    console.log('\n  Run \'claude-alarm doctor\' again to check.\n');
+    return;
+  }
+
+  const fixNote = repairable.length > 0 ? ` Run 'claude-alarm doctor --fix' to fix ${repairable.length} of them.` : '';
+  console.log(`\n  ${failures.length === 1 ? '1 problem' : failures.length + ' problems'} found.${fixNote}\n`);
+  process.exitCode = 1;
+}
+
+// Alarm records that are unreadable, or whose daemon is gone
+function alarmRecordProblems() {
+  const problems = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(ALARMS_DIR).filter((f) => f.endsWith('.json'));
+  } catch {}
+
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    if (!readAlarm(id)) {
+      problems.push({
+        ok: false,
+        label: `Alarm record ${file} is unreadable`,
+        hint: 'Remove it',
+        repair: () => {
+          removeAlarm(id);
+          return `Removed ${file}`;
+        },
+      });
+    }
+  }
+
+  const stale = listAlarms().filter((a) => !a.legacy && !isAlarmRunning(a));
+  if (stale.length > 0) {
+    problems.push({
+      ok: 'warn',
+      label: `${stale.length === 1 ? '1 pending alarm is' : stale.length + ' pending alarms are'} not running: ${stale.map((a) => a.id).join(', ')}`,
+      hint: 'Run \'claude-alarm resume\' to re-arm, or \'claude-alarm stop --all\' to drop them',
+    });
+  }
+  if (problems.length === 0) problems.push({ ok: true, label: `Alarm records (${files.length} pending)` });
+  return problems;
+}
+
+function readSettingsState() {
+  try {
+    JSON.parse(fs.readFileSync(CLAUDE_SETTINGS, 'utf8'));
+    return 'ok';
+  } catch (err) {
+    return err.code === 'ENOENT' ? 'missing' : 'invalid';
+  }
+}
+
+function fileHash(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function packageVersion() {
+  try {
+    return `v${require('../package.json').version}`;
+  } catch {
+    return 'unknown version';
+  }
 }
 
 // ── Test ─────────────────────────────────────────────────────────────
@@ -173,104 +1190,200 @@ function test() {
   }
 
   console.log('\n  Playing test alarm...\n');
-  spawnSync('node', [daemonPath, '--now'], { stdio: 'inherit' });
+  spawnSync(process.execPath, [daemonPath, '--now'], { stdio: 'inherit' });
   console.log('');
 }
 
 // ── Hook Installation ────────────────────────────────────────────────
 
+// Our hook command carries HOOK_MARKER, so it can't be mistaken for anyone else's
+function hookCommand() {
+  return `node "${path.join(CONFIG_DIR, 'hook-handler.js')}" ${HOOK_MARKER}`;
+}
+
 function installHooks() {
-  let settings = {};
+  const hookEvents = ['Notification', 'PostToolUseFailure'];
+  const changes = [];
 
-  if (fs.existsSync(CLAUDE_SETTINGS)) {
-    try {
-      settings = JSON.parse(fs.readFileSync(CLAUDE_SETTINGS, 'utf8'));
-    } catch {
-      console.log('  Warning: Could not parse ~/.claude/settings.json. Creating backup...');
-      fs.copyFileSync(CLAUDE_SETTINGS, CLAUDE_SETTINGS + '.backup');
-      settings = {};
-    }
+  try {
+    updateSettings((settings) => {
+      changes.length = 0; // Start over if the edit is retried
+      if (!settings.hooks) settings.hooks = {};
+
+      // Clean up stale Stop hook from older versions
+      if (settings.hooks.Stop && settings.hooks.Stop.some(isOurHookEntry)) {
+        settings.hooks.Stop = settings.hooks.Stop.filter((h) => !isOurHookEntry(h));
+        if (settings.hooks.Stop.length === 0) delete settings.hooks.Stop;
+        changes.push('  - Removed stale Stop hook');
+      }
+
+      for (const event of hookEvents) {
+        if (!settings.hooks[event]) settings.hooks[event] = [];
+        const entries = settings.hooks[event];
+        const ours = entries.filter(isOurHookEntry);
+
+        if (ours.length === 1 && ours[0].hooks.some((h) => h.command === hookCommand())) {
+          changes.push(`  = ${event} hook (already installed)`);
+          continue;
+        }
+
+        // Replace entries from older versions (no marker, or a different path)
+        settings.hooks[event] = entries.filter((h) => !isOurHookEntry(h));
+        settings.hooks[event].push({ hooks: [{ type: 'command', command: hookCommand(), timeout: 10 }] });
+        changes.push(ours.length > 0 ? `  ~ ${event} hook updated` : `  + ${event} hook added`);
+      }
+
+      if (changes.every((line) => line.startsWith('  ='))) return false;
+    });
+  } catch (err) {
+    console.log(`  ✗ Hooks not installed: ${err.message}`);
+    process.exitCode = 1;
+    return;
   }
 
-  if (!settings.hooks) settings.hooks = {};
-
-  const hookCommand = `node "${path.join(CONFIG_DIR, 'hook-handler.js')}"`;
+  for (const line of changes) console.log(line);
+}
 
-  const hookEntry = {
-    hooks: [
-      {
-        type: 'command',
-        command: hookCommand,
-        timeout: 10,
-      },
-    ],
-  };
+function removeHooks() {
+  try {
+    const written = updateSettings((settings) => {
+      if (!settings.hooks) return false;
+      let removed = false;
+
+      for (const event of Object.keys(settings.hooks)) {
+        if (!Array.isArray(settings.hooks[event]) || !settings.hooks[event].some(isOurHookEntry)) continue;
+        settings.hooks[event] = settings.hooks[event].filter((h) => !isOurHookEntry(h));
+        if (settings.hooks[event].length === 0) delete settings.hooks[event];
+        removed = true;
+      }
+
+      if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
+      return removed;
+    });
+    if (written) console.log('  Removed Claude Code hooks');
+  } catch (err) {
+    console.log(`  Warning: Could not update ~/.claude/settings.json: ${err.message}`);
+  }
+}
 
-  const hookEvents = ['Notification', 'PostToolUseFailure'];
+// ── Restore settings ─────────────────────────────────────────────────
 
-  // Clean up stale Stop hook from older versions
-  if (settings.hooks.Stop) {
-    settings.hooks.Stop = settings.hooks.Stop.filter(
-      (h) => !(h.hooks && h.hooks.some((hh) => hh.command && hh.command.includes('claude-alarm')))
-    );
-    if (settings.hooks.Stop.length === 0) delete settings.hooks.Stop;
-    console.log('  - Removed stale Stop hook');
+function restoreSettings(args) {
+  const backups = listBackups();
+  if (backups.length === 0) {
+    console.log('\n  No backups of ~/.claude/settings.json yet.\n');
+    return;
   }
 
-  for (const event of hookEvents) {
-    if (!settings.hooks[event]) settings.hooks[event] = [];
-
-    const exists = settings.hooks[event].some(
-      (h) => h.hooks && h.hooks.some((hh) => hh.command && hh.command.includes('claude-alarm'))
-    );
+  const choice = args[0];
+  if (!choice) {
+    console.log('\n  Backups of ~/.claude/settings.json, newest first:\n');
+    backups.forEach((backup, index) => {
+      const when = new Date(backup.time);
+      console.log(`  ${String(index + 1).padStart(2)}. ${when.toLocaleDateString('en-CA')} ${formatClock(when)}  ${backup.name}`);
+    });
+    console.log('\n  Run \'claude-alarm restore-settings <number>\' to restore one.\n');
+    return;
+  }
 
-    if (!exists) {
-      settings.hooks[event].push(hookEntry);
-      console.log(`  + ${event} hook added`);
-    } else {
-      console.log(`  = ${event} hook (already installed)`);
-    }
+  const backup = /^\d+$/.test(choice) ? backups[parseInt(choice) - 1] : backups.find((b) => b.name === choice);
+  if (!backup) {
+    console.log(`\n  No backup "${choice}". Run 'claude-alarm restore-settings' to list them.\n`);
+    process.exit(1);
   }
 
-  const claudeDir = path.dirname(CLAUDE_SETTINGS);
-  fs.mkdirSync(claudeDir, { recursive: true });
-  fs.writeFileSync(CLAUDE_SETTINGS, JSON.stringify(settings, null, 2));
+  try {
+    restoreBackup(backup);
+  } catch (err) {
+    console.log(`\n  Could not restore ${backup.name}: ${err.message}\n`);
+    process.exit(1);
+  }
+  console.log(`\n  Restored ~/.claude/settings.json from ${backup.name}.`);
+  console.log('  The settings it replaced were backed up first.\n');
 }
 
-function removeHooks() {
-  if (!fs.existsSync(CLAUDE_SETTINGS)) return;
+// ── Autostart ────────────────────────────────────────────────────────
 
-  try {
-    const settings = JSON.parse(fs.readFileSync(CLAUDE_SETTINGS, 'utf8'));
-    if (!settings.hooks) return;
+function installAutostart(kind) {
+  if (os.platform() !== 'linux') {
+    console.log('  Autostart is only available on Linux. Run \'claude-alarm resume\' after logging in.');
+    return;
+  }
 
-    const hookEvents = ['Notification', 'PostToolUseFailure', 'Stop'];
+  if (!kind) {
+    // Desktop sessions get XDG autostart so notifications reach the display
+    const hasDesktop = process.env.DISPLAY || process.env.WAYLAND_DISPLAY;
+    kind = !hasDesktop && commandExists('systemctl') ? 'systemd' : 'xdg';
+  }
 
-    for (const event of hookEvents) {
-      if (!settings.hooks[event]) continue;
-      settings.hooks[event] = settings.hooks[event].filter(
-        (h) => !(h.hooks && h.hooks.some((hh) => hh.command && hh.command.includes('claude-alarm')))
-      );
-      if (settings.hooks[event].length === 0) delete settings.hooks[event];
+  const daemonPath = path.join(CONFIG_DIR, 'alarm-daemon.js');
+  const execLine = `"${process.execPath}" "${daemonPath}" --resume`;
+
+  if (kind === 'systemd') {
+    const unit = [
+      '[Unit]',
+      'Description=Re-arm pending claude-alarm alarms',
+      '',
+      '[Service]',
+      'Type=oneshot',
+      `ExecStart=${execLine}`,
+      // Keep the spawned alarm daemons alive after the oneshot exits
+      'RemainAfterExit=yes',
+      'KillMode=process',
+      '',
+      '[Install]',
+      'WantedBy=default.target',
+      '',
+    ].join('\n');
+    fs.mkdirSync(path.dirname(SYSTEMD_UNIT), { recursive: true });
+    fs.writeFileSync(SYSTEMD_UNIT, unit);
+    try {
+      execFileSync('systemctl', ['--user', 'daemon-reload'], { stdio: 'pipe' });
+      execFileSync('systemctl', ['--user', 'enable', path.basename(SYSTEMD_UNIT)], { stdio: 'pipe' });
+      console.log('  + systemd user unit claude-alarm-resume.service enabled');
+    } catch {
+      console.log('  Warning: Wrote the systemd unit but could not enable it.');
+      console.log('  Run: systemctl --user enable claude-alarm-resume.service');
     }
+  } else if (kind === 'xdg') {
+    const entry = [
+      '[Desktop Entry]',
+      'Type=Application',
+      'Name=claude-alarm resume',
+      'Comment=Re-arm pending claude-alarm alarms',
+      `Exec=${execLine}`,
+      'NoDisplay=true',
+      'X-GNOME-Autostart-enabled=true',
+      '',
+    ].join('\n');
+    fs.mkdirSync(path.dirname(XDG_AUTOSTART), { recursive: true });
+    fs.writeFileSync(XDG_AUTOSTART, entry);
+    console.log('  + XDG autostart entry claude-alarm-resume.desktop added');
+  } else {
+    console.log(`  Unknown autostart kind "${kind}". Use --autostart=systemd or --autostart=xdg.`);
+  }
+}
 
-    if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
-
-    fs.writeFileSync(CLAUDE_SETTINGS, JSON.stringify(settings, null, 2));
-    console.log('  Removed Claude Code hooks');
-  } catch {
-    console.log('  Warning: Could not update ~/.claude/settings.json');
+function removeAutostart() {
+  if (fs.existsSync(SYSTEMD_UNIT)) {
+    try {
+      execFileSync('systemctl', ['--user', 'disable', path.basename(SYSTEMD_UNIT)], { stdio: 'pipe' });
+    } catch {}
+    fs.unlinkSync(SYSTEMD_UNIT);
+    console.log('  Removed systemd user unit');
+  }
+  if (fs.existsSync(XDG_AUTOSTART)) {
+    fs.unlinkSync(XDG_AUTOSTART);
+    console.log('  Removed XDG autostart entry');
   }
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
 function detectConfig(platform) {
-  const config = {
-    displayMessage: 'Time to build. Claude credits are back!',
-    spokenMessage: 'Time to build. Clawed credits are back!',
-    defaultWaitMinutes: 240,
-  };
+  const { locale, defaultWaitMinutes, snoozeMinutes, notifiers } = defaults();
+  const config = { locale, defaultWaitMinutes, snoozeMinutes, notifiers };
+  console.log(`  Language: ${resolveLocale(locale)} (config set locale <${LOCALES.join('|')}> to change)`);
 
   if (platform === 'darwin') {
     config.voice = 'Samantha';
@@ -280,14 +1393,17 @@ function detectConfig(platform) {
     console.log('  Sound: afplay ✓');
   } else if (platform === 'linux') {
     const hasNotify = commandExists('notify-send');
-    const hasEspeak = commandExists('espeak');
-    const hasSpd = commandExists('spd-say');
-    config.voice = hasEspeak ? 'espeak' : hasSpd ? 'spd-say' : null;
+    const [engine, ...otherEngines] = linuxAudio.installedEngines();
+    const [player, ...otherPlayers] = linuxAudio.installedPlayers();
+    const also = (others) => (others.length > 0 ? ` (also installed: ${others.join(', ')})` : '');
+    config.voice = null;
+    if (engine) config.speech = { engine };
     console.log(
       `  Desktop notifications: ${hasNotify ? 'notify-send ✓' : '✗ (install: sudo apt install libnotify-bin)'}`
     );
+    console.log(`  Voice: ${engine ? `${engine} ✓${also(otherEngines)}` : '✗ (install: sudo apt install espeak-ng)'}`);
     console.log(
-      `  Voice: ${config.voice ? config.voice + ' ✓' : '✗ (install: sudo apt install espeak)'}`
+      `  Sound: ${player ? `${player} ✓${also(otherPlayers)}` : '✗ (install: sudo apt install pulseaudio-utils)'}`
     );
   } else if (platform === 'win32') {
     config.voice = 'powershell';
@@ -295,29 +1411,49 @@ function detectConfig(platform) {
     console.log('  Desktop notifications: PowerShell Toast ✓');
   }
 
+  if (platform !== 'win32' && !hasGraphicalSession()) {
+    console.log('  No graphical session: alarms ring in the terminal they came from (bell, OSC 9/777, tmux, screen)');
+  }
+
   return config;
 }
 
-function commandExists(cmd) {
+function readConfig() {
   try {
-    execFileSync('which', [cmd], { stdio: 'pipe' });
-    return true;
+    return readConfigFile();
   } catch {
-    return false;
+    return {};
   }
 }
 
-function isAlarmRunning() {
-  if (!fs.existsSync(PID_FILE)) return false;
+// Config as the daemon and the hook see it, printing what they would ignore
+function loadCliConfig() {
+  const { config, warnings } = loadConfig();
+  if (warnings.length > 0) console.log('');
+  for (const warning of warnings) console.log(`  Warning: ${warning}`);
+  return config;
+}
+
+function ensureScripts() {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  for (const script of SCRIPTS) {
+    const scriptPath = path.join(CONFIG_DIR, script);
+    if (!fs.existsSync(scriptPath)) {
+      fs.copyFileSync(path.join(__dirname, script), scriptPath);
+    }
+  }
+}
+
+function commandExists(cmd) {
+  return commandPath(cmd) !== null;
+}
+
+function commandPath(cmd) {
   try {
-    const pid = parseInt(fs.readFileSync(PID_FILE, 'utf8').trim());
-    process.kill(pid, 0);
-    return true;
+    const finder = os.platform() === 'win32' ? 'where' : 'which';
+    return execFileSync(finder, [cmd], { stdio: 'pipe', encoding: 'utf8' }).split(/\r?\n/)[0].trim();
   } catch {
-    try {
-      fs.unlinkSync(PID_FILE);
-    } catch {}
-    return false;
+    return null;
   }
 }
 
@@ -334,10 +1470,65 @@ function parseTime(str) {
   return 0;
 }
 
+// Removes `name <value>` from args and returns the value
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  const [, value] = args.splice(index, 2);
+  return value || null;
+}
+
+function formatClock(time) {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function describeQuiet(quietHours, time) {
+  const quiet = quietState(quietHours, time);
+  if (quiet.mode === 'defer') return `    Falls in quiet hours -- will be deferred to ${formatClock(quiet.until)}.`;
+  if (quiet.mode === 'mute') return `    Falls in quiet hours -- ${quiet.muted.join(' and ') || 'nothing'} will be muted.`;
+  return '';
+}
+
+function alarmTitle(alarm) {
+  const label = alarm.label || (alarm.source === 'start' ? 'Manual alarm' : 'Alarm');
+  return label.toLowerCase() === alarm.id ? alarm.id : `${alarm.id}  ${label}`;
+}
+
+// Which advance warnings are still to come, mirroring the daemon's rules
+function describeWarnings(warnings, alarm, now) {
+  const minutes = (warnings && warnings.minutes) || [];
+  if (minutes.length === 0 || alarm.snoozedUntil === alarm.targetTime) return null;
+
+  const sent = alarm.warningsSent || [];
+  const pending = minutes
+    .filter((m) => !sent.includes(m) && alarm.targetTime - m * 60 * 1000 > Math.max(now, alarm.armedAt || 0))
+    .sort((a, b) => b - a)
+    .map((m) => `${formatDuration(m)} before (${formatClock(alarm.targetTime - m * 60 * 1000)})`);
+  if (pending.length > 0) return `    Warnings: ${pending.join(', ')}`;
+  return sent.length > 0 ? '    Warnings: all sent' : null;
+}
+
+// How the hook worked out the reset time
+function describeResetRule(alarm) {
+  if (!alarm.resetRule) return null;
+  if (alarm.resetRule === 'default') return 'none in the message, used defaultWaitMinutes';
+  const zone = alarm.resetZone ? `, ${alarm.resetZone}` : '';
+  const from = alarm.resetFrom === 'transcript' ? ', from the session transcript' : '';
+  const rule = `${alarm.resetRule} rule${zone}${from}`;
+  return alarm.resetMatch ? `"${alarm.resetMatch}" (${rule})` : rule;
+}
+
+function describeSource(source, syncedFrom) {
+  if (!source || source === 'start') return 'manual start';
+  if (source === 'sync') return `${syncedFrom || 'another machine'} (shared folder)`;
+  return `${source} hook`;
+}
+
 function formatDuration(minutes) {
-  if (minutes >= 60) {
-    const h = Math.floor(minutes / 60);
-    const m = Math.round(minutes % 60);
+  if (minutes >= 59.5) {
+    const total = Math.round(minutes);
+    const h = Math.floor(total / 60);
+    const m = total % 60;
     return m > 0 ? `${h}h ${m}m` : `${h}h`;
   }
   if (minutes < 1) {
@@ -346,4 +1537,21 @@ function formatDuration(minutes) {
   return `${Math.round(minutes)}m`;
 }
 
-module.exports = { setup, uninstall, manualStart, stop, status, test };
+module.exports = {
+  setup,
+  uninstall,
+  manualStart,
+  resume,
+  snooze,
+  extend,
+  reschedule,
+  stop,
+  status,
+  history,
+  replay,
+  restoreSettings,
+  doctor,
+  configCommand,
+  syncCommand,
+  test,
+};
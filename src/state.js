@@ -0,0 +1,237 @@
+'use strict';
+
+//
+// Alarm registry shared by the CLI, the hook handler and the alarm daemon.
+// Every pending alarm is one JSON record in ~/.claude-alarm/alarms/<id>.json.
+// Whoever arms an alarm writes its record, then spawns a daemon that adopts it by id.
+// Target times are absolute, so a record whose daemon died (reboot, logout, OOM kill)
+// stays pending until `claude-alarm resume` re-arms it.
+// It lives at ~/.claude-alarm/state.js after setup.
+//
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = path.join(os.homedir(), '.claude-alarm');
+const ALARMS_DIR = path.join(CONFIG_DIR, 'alarms');
+
+// Written by daemons from before the registry existed
+const LEGACY_PID_FILE = path.join(CONFIG_DIR, 'alarm.pid');
+const LEGACY_STATE_FILE = path.join(CONFIG_DIR, 'alarm.json');
+
+// How far apart two boot time readings may be and still mean the same boot
+const BOOT_TIME_TOLERANCE_MS = 60 * 1000;
+
+// Longest trigger text we keep -- enough to recognise the message, small enough for `status`
+const MAX_MATCHED_TEXT = 300;
+
+// Furthest ahead an alarm may be moved: limits reset within days, so more is a typo
+const MAX_AHEAD_MS = 60 * 24 * 3600 * 1000;
+
+// ── Records ──────────────────────────────────────────────────────────
+
+function alarmFile(id) {
+  return path.join(ALARMS_DIR, `${id}.json`);
+}
+
+function readAlarm(id) {
+  try {
+    return JSON.parse(fs.readFileSync(alarmFile(id), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Written under a temporary name and renamed into place: the hook, the daemon and the CLI
+// read records while others write them, and must never see half a file
+function writeAlarm(alarm) {
+  const record = { ...alarm };
+  if (record.matchedText) record.matchedText = String(record.matchedText).slice(0, MAX_MATCHED_TEXT);
+  fs.mkdirSync(ALARMS_DIR, { recursive: true });
+  const file = alarmFile(record.id);
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(record, null, 2));
+  fs.renameSync(temp, file);
+  return record;
+}
+
+function updateAlarm(id, changes) {
+  const current = readAlarm(id);
+  if (!current) return null;
+  return writeAlarm({ ...current, ...changes });
+}
+
+function removeAlarm(id, pid) {
+  // Only remove the record if it still belongs to the given daemon
+  if (pid !== undefined) {
+    const current = readAlarm(id);
+    if (current && current.pid !== pid) return;
+  }
+  try {
+    fs.unlinkSync(alarmFile(id));
+  } catch {}
+}
+
+// All pending alarms, soonest first, whether or not their daemon is still running.
+// Records of alarms that already fired before their daemon died are pruned, unless
+// `prune` is false (the status line reads on every refresh and leaves cleaning to others).
+function listAlarms({ prune = true } = {}) {
+  const alarms = [];
+
+  let files = [];
+  try {
+    files = fs.readdirSync(ALARMS_DIR).filter((f) => f.endsWith('.json'));
+  } catch {}
+
+  for (const file of files) {
+    const alarm = readAlarm(path.basename(file, '.json'));
+    if (!alarm) continue;
+    if (alarm.firedAt && !isAlarmRunning(alarm)) {
+      if (prune) removeAlarm(alarm.id, alarm.pid);
+    } else {
+      alarms.push(alarm);
+    }
+  }
+
+  const legacy = readLegacyAlarm(prune);
+  if (legacy) alarms.push(legacy);
+
+  return alarms.sort((a, b) => (a.targetTime || Infinity) - (b.targetTime || Infinity));
+}
+
+function readLegacyAlarm(prune) {
+  if (!fs.existsSync(LEGACY_PID_FILE)) return null;
+
+  const pid = parseInt(fs.readFileSync(LEGACY_PID_FILE, 'utf8').trim());
+  if (!isProcessAlive(pid)) {
+    try {
+      if (prune) fs.unlinkSync(LEGACY_PID_FILE);
+    } catch {}
+    return null;
+  }
+
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(LEGACY_STATE_FILE, 'utf8'));
+  } catch {}
+  return { ...state, id: 'legacy', label: 'Alarm', pid, legacy: true };
+}
+
+// ── Ids ──────────────────────────────────────────────────────────────
+
+function slugify(label) {
+  return String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+function newAlarmId(label) {
+  const base = (label && slugify(label)) || 'alarm';
+  const taken = new Set(listAlarms().map((a) => a.id));
+  if (!taken.has(base) && base !== 'alarm') return base;
+  for (let n = 1; ; n++) {
+    if (!taken.has(`${base}-${n}`)) return `${base}-${n}`;
+  }
+}
+
+// ── Processes ────────────────────────────────────────────────────────
+
+function currentBootTime() {
+  return Date.now() - Math.round(os.uptime() * 1000);
+}
+
+// True when the alarm's daemon is alive. A PID recorded before a reboot may
+// since have been reused by an unrelated process, so the boot must match too.
+function isAlarmRunning(alarm) {
+  if (!alarm || !isProcessAlive(alarm.pid)) return false;
+  if (alarm.legacy || !alarm.bootTime) return true;
+  return Math.abs(alarm.bootTime - currentBootTime()) < BOOT_TIME_TOLERANCE_MS;
+}
+
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0); // Throws if process doesn't exist
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Write the record and spawn a detached daemon for it, replacing any daemon
+// already running under the same id.
+function armAlarm(alarm) {
+  const existing = readAlarm(alarm.id);
+
+  // Write first: the old daemon removes the record on exit unless it belongs to someone else
+  const record = writeAlarm({ ...alarm, pid: null, bootTime: null, controlPort: null });
+  if (existing && isAlarmRunning(existing)) {
+    try {
+      process.kill(existing.pid, 'SIGTERM');
+    } catch {}
+  }
+
+  // The running node, not the one on PATH: login autostart has no nvm in its PATH
+  const daemon = spawn(process.execPath, [path.join(CONFIG_DIR, 'alarm-daemon.js'), '--id', record.id], {
+    detached: true,
+    stdio: 'ignore',
+  });
+  // The record stays pending, so `claude-alarm resume` can try again
+  daemon.on('error', (err) => console.error(`claude-alarm: could not start the alarm "${record.id}": ${err.message}`));
+  daemon.unref();
+
+  return record;
+}
+
+// Re-arm every pending alarm whose daemon is gone. Alarms whose reset passed
+// while nothing was running fire right away.
+function resumeAlarms() {
+  const resumed = [];
+  for (const alarm of listAlarms()) {
+    if (alarm.legacy || isAlarmRunning(alarm)) continue;
+    resumed.push(armAlarm(alarm));
+  }
+  return resumed;
+}
+
+function stopAlarmProcess(alarm) {
+  let stopped = false;
+  if (isAlarmRunning(alarm)) {
+    try {
+      process.kill(alarm.pid, 'SIGTERM');
+      stopped = true;
+    } catch {}
+  }
+
+  if (alarm.legacy) {
+    for (const file of [LEGACY_PID_FILE, LEGACY_STATE_FILE]) {
+      try {
+        fs.unlinkSync(file);
+      } catch {}
+    }
+  } else {
+    removeAlarm(alarm.id);
+  }
+  return stopped;
+}
+
+module.exports = {
+  ALARMS_DIR,
+  MAX_AHEAD_MS,
+  readAlarm,
+  writeAlarm,
+  updateAlarm,
+  removeAlarm,
+  listAlarms,
+  newAlarmId,
+  currentBootTime,
+  isAlarmRunning,
+  isProcessAlive,
+  armAlarm,
+  resumeAlarms,
+  stopAlarmProcess,
+};
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+'use strict';
+
+//
+// Claude Code status line segment: "⏳ credits in 1h12m (15:40)" while an alarm is pending,
+// nothing otherwise. Claude Code runs it on every refresh, so it only reads the alarm
+// records -- no notifier or config modules. When setup replaced an existing statusLine
+// command, that command still runs first with the same input and its output comes first.
+// It lives at ~/.claude-alarm/statusline.js after setup (`claude-alarm statusline` runs it too).
+//
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { listAlarms, isAlarmRunning } = require('./state');
+
+const CONFIG_FILE = path.join(os.homedir(), '.claude-alarm', 'config.json');
+
+// The chained command gets this long before we print our segment on our own
+const CHAIN_TIMEOUT_MS = 2000;
+
+function compactDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const mins = minutes % 60;
+  if (days > 0) return `${days}d${hours}h`;
+  if (hours > 0) return `${hours}h${String(mins).padStart(2, '0')}m`;
+  return `${mins}m`;
+}
+
+function compactClock(time, withDay) {
+  const date = new Date(time);
+  const clock = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return withDay ? `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${clock}` : clock;
+}
+
+// What the alarm is waiting for, in as few words as possible
+function alarmName(alarm) {
+  if (alarm.id === 'usage-limit') return 'credits';
+  if (alarm.id === 'weekly-limit') return 'weekly credits';
+  return alarm.label || alarm.id;
+}
+
+function segment(now = Date.now()) {
+  const alarms = listAlarms({ prune: false }).filter((a) => a.targetTime);
+  if (alarms.length === 0) return '';
+
+  const due = alarms.filter((a) => a.targetTime <= now);
+  const ringing = due.find((a) => isAlarmRunning(a) && !(a.deferredUntil > now));
+  if (ringing) return `⏰ ${alarmName(ringing)} ${ringing.id.endsWith('-limit') ? 'are back' : 'now'}`;
+
+  const deferred = due.find((a) => isAlarmRunning(a));
+  if (deferred) return `💤 ${alarmName(deferred)}: alarm at ${compactClock(deferred.deferredUntil)} (quiet hours)`;
+
+  // Its reset passed while no daemon was there to ring
+  const missed = due[0];
+  if (missed) return `⚠ ${alarmName(missed)}: alarm not running (claude-alarm resume)`;
+
+  const next = alarms[0];
+  const remaining = next.targetTime - now;
+  const notes = [compactClock(next.targetTime, remaining > 24 * 3600 * 1000)];
+  if (!isAlarmRunning(next)) notes.push('not running');
+  const more = alarms.length > 1 ? ` +${alarms.length - 1}` : '';
+  return `⏳ ${alarmName(next)} in ${compactDuration(remaining)} (${notes.join(', ')})${more}`;
+}
+
+// Output of the statusLine command setup replaced, given the same stdin
+function chainedOutput(input) {
+  let previous = null;
+  try {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    previous = config.statusLine && config.statusLine.previous;
+  } catch {}
+  if (!previous || !previous.command) return '';
+
+  const result = spawnSync(previous.command, {
+    shell: true,
+    input,
+    encoding: 'utf8',
+    timeout: CHAIN_TIMEOUT_MS,
+  });
+  return (result.stdout || '').replace(/\s+$/, '');
+}
+
+function printStatusLine() {
+  // Claude Code pipes session JSON on stdin; a terminal has nothing to give
+  let input = '';
+  if (!process.stdin.isTTY) {
+    try {
+      input = fs.readFileSync(0, 'utf8');
+    } catch {}
+  }
+
+  const parts = [chainedOutput(input), segment()].filter(Boolean);
+  if (parts.length > 0) process.stdout.write(parts.join('  ') + '\n');
+}
+
+if (require.main === module) printStatusLine();
+
+module.exports = { printStatusLine, segment };
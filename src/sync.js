@@ -0,0 +1,236 @@
+'use strict';
+
+//
+// Alarm state shared by several machines on one Claude account, through a folder that
+// Syncthing, Dropbox, NFS or the like keeps in sync:
+//
+//   "sync": { "dir": "~/Sync/claude-alarm", "machine": "laptop" }
+//
+// Each machine writes only below <dir>/<machine>/, so no two machines ever write one file:
+//
+//   alarms/<id>.json               Rate-limit alarms armed here, with the absolute reset time
+//   dismissed/<id>-<reset>.json    Alarms dismissed here
+//
+// Files are written under a temporary name and renamed into place, so neither a reader nor
+// the sync tool sees half a file; conflict copies the sync tool makes anyway are read like
+// any other file. Other machines arm local copies of published alarms (`claude-alarm
+// resume`, `claude-alarm sync [--watch]`), and a daemon stops when any machine dismissed
+// its alarm. Manual `start` alarms stay on the machine they were set on.
+// It lives at ~/.claude-alarm/sync.js after setup.
+//
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listAlarms, armAlarm } = require('./state');
+const { recordEvent, alarmFields } = require('./history');
+
+// Two machines reading the same limit message may work out slightly different reset times
+const SAME_RESET_MS = 10 * 60 * 1000;
+
+// How long published files are kept after their reset time
+const KEEP_MS = 2 * 24 * 3600 * 1000;
+
+// ── Files ────────────────────────────────────────────────────────────
+
+function expandHome(file) {
+  return String(file).replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+function machineName(name) {
+  return (
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9._-]+/g, '-')
+      .replace(/^[.-]+|-+$/g, '') || 'machine'
+  );
+}
+
+// { dir, machine } from config.sync, or null when sharing is off
+function syncSettings(config) {
+  const sync = config.sync;
+  if (!sync || !sync.dir) return null;
+  return { dir: path.resolve(expandHome(sync.dir)), machine: machineName(sync.machine || os.hostname()) };
+}
+
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(temp, JSON.stringify(data, null, 2));
+  fs.renameSync(temp, file);
+}
+
+// Every readable JSON file in `dir`, skipping temporary and half-synced ones
+function readJsonFiles(dir) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith('.json') && !f.startsWith('.'));
+  } catch {}
+
+  const entries = [];
+  for (const file of files) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (entry && typeof entry.id === 'string' && typeof entry.resetTime === 'number') entries.push(entry);
+    } catch {}
+  }
+  return entries;
+}
+
+function machineDirs(settings) {
+  try {
+    return fs
+      .readdirSync(settings.dir, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && !d.name.startsWith('.'))
+      .map((d) => d.name);
+  } catch {
+    return [];
+  }
+}
+
+function sameAlarm(entry, id, resetTime) {
+  return entry.id === id && Math.abs(entry.resetTime - resetTime) <= SAME_RESET_MS;
+}
+
+// Drop this machine's files whose reset is long past
+function prune(settings, now) {
+  for (const kind of ['alarms', 'dismissed']) {
+    const dir = path.join(settings.dir, settings.machine, kind);
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter((f) => f.endsWith('.json'));
+    } catch {}
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (entry.resetTime < now - KEEP_MS) fs.unlinkSync(path.join(dir, file));
+      } catch {}
+    }
+  }
+}
+
+// ── Publishing ───────────────────────────────────────────────────────
+//
+// Sharing is best-effort, like the history: an unreachable folder must never break the
+// hook or the daemon. Each function returns false when it couldn't write.
+
+// A limit is per account; a manual timer and an alarm armed from another machine are not ours to share
+function isShared(alarm) {
+  return Boolean(alarm && alarm.source && alarm.source !== 'start' && alarm.source !== 'sync');
+}
+
+// Publish an alarm the hook armed here. `alarm.syncReset` is its reset time.
+function publishAlarm(config, alarm, now = Date.now()) {
+  const settings = syncSettings(config);
+  if (!settings || !isShared(alarm) || !alarm.syncReset) return false;
+  try {
+    writeJsonAtomic(path.join(settings.dir, settings.machine, 'alarms', `${alarm.id}.json`), {
+      id: alarm.id,
+      label: alarm.label || null,
+      resetTime: alarm.syncReset,
+      machine: settings.machine,
+      source: alarm.source,
+      project: alarm.cwd ? path.basename(alarm.cwd) : null,
+      publishedAt: now,
+    });
+    prune(settings, now);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Tell the other machines that `alarm` was dismissed here
+function publishDismissal(config, alarm, via, now = Date.now()) {
+  const settings = syncSettings(config);
+  if (!settings || !alarm || !alarm.syncReset) return false;
+  try {
+    writeJsonAtomic(path.join(settings.dir, settings.machine, 'dismissed', `${alarm.id}-${alarm.syncReset}.json`), {
+      id: alarm.id,
+      resetTime: alarm.syncReset,
+      machine: settings.machine,
+      via: via || null,
+      dismissedAt: now,
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ── Reading ──────────────────────────────────────────────────────────
+
+// What every other machine published: [{ machine, alarms, dismissed }]
+function sharedState(config) {
+  const settings = syncSettings(config);
+  if (!settings) return [];
+  return machineDirs(settings)
+    .filter((machine) => machine !== settings.machine)
+    .map((machine) => ({
+      machine,
+      alarms: readJsonFiles(path.join(settings.dir, machine, 'alarms')),
+      dismissed: readJsonFiles(path.join(settings.dir, machine, 'dismissed')),
+    }));
+}
+
+// The dismissal of `alarm` by another machine, or null
+function sharedDismissal(config, alarm) {
+  if (!alarm || !alarm.syncReset) return null;
+  for (const { dismissed } of sharedState(config)) {
+    const found = dismissed.find((entry) => sameAlarm(entry, alarm.id, alarm.syncReset));
+    if (found) return found;
+  }
+  return null;
+}
+
+// Who dismissed the alarm `id` with this reset time, on any machine including this one, or null
+function findDismissal(config, id, resetTime) {
+  const settings = syncSettings(config);
+  if (!settings) return null;
+  const own = readJsonFiles(path.join(settings.dir, settings.machine, 'dismissed'));
+  const all = [...own, ...sharedState(config).flatMap((m) => m.dismissed)];
+  return all.find((entry) => sameAlarm(entry, id, resetTime)) || null;
+}
+
+// Arm a local alarm for each alarm another machine published that is still ahead, not
+// dismissed anywhere, and not already pending here. Returns the armed records.
+function importSharedAlarms(config, now = Date.now()) {
+  const settings = syncSettings(config);
+  if (!settings) return [];
+
+  const machines = sharedState(config);
+  const pending = new Set(listAlarms().map((a) => a.id));
+  const imported = [];
+
+  for (const { machine, alarms } of machines) {
+    for (const shared of alarms) {
+      if (shared.resetTime <= now || pending.has(shared.id)) continue;
+      if (findDismissal(config, shared.id, shared.resetTime)) continue;
+
+      const alarm = armAlarm({
+        id: shared.id,
+        label: shared.label,
+        source: 'sync',
+        syncedFrom: machine,
+        syncReset: shared.resetTime,
+        matchedText: null,
+        armedAt: now,
+        targetTime: shared.resetTime,
+      });
+      recordEvent('arm', { ...alarmFields(alarm), via: `sync:${machine}` });
+      pending.add(shared.id);
+      imported.push(alarm);
+    }
+  }
+  return imported;
+}
+
+module.exports = {
+  syncSettings,
+  publishAlarm,
+  publishDismissal,
+  sharedState,
+  sharedDismissal,
+  findDismissal,
+  importSharedAlarms,
+};
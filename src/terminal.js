@@ -0,0 +1,183 @@
+'use strict';
+
+//
+// Terminal delivery for machines without a graphical session -- SSH sessions and remote
+// dev boxes. The hook records where Claude Code runs (its TTY, tmux pane or screen
+// window); when the alarm fires, the `terminal` notifier rings the bell there, sends a
+// desktop-notification escape (OSC 9 and OSC 777, which most terminal emulators turn
+// into a notification, over SSH too) and shows a tmux or screen message.
+// It lives at ~/.claude-alarm/terminal.js after setup.
+//
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+
+// How far up the process tree we look for a terminal: hook -> shell -> Claude Code -> ...
+const MAX_ANCESTORS = 6;
+
+// ── Capture ──────────────────────────────────────────────────────────
+
+function run(cmd, args) {
+  try {
+    return execFileSync(cmd, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 2000 }).trim();
+  } catch {
+    return '';
+  }
+}
+
+// The TTY a process reads or writes, e.g. "/dev/pts/3", or null
+function ttyOf(pid) {
+  for (const fd of [0, 1, 2]) {
+    try {
+      const target = fs.readlinkSync(`/proc/${pid}/fd/${fd}`);
+      if (/^\/dev\/(pts\/\d+|tty\w+)$/.test(target)) return target;
+    } catch {}
+  }
+  // No /proc (macOS): ask ps, which prints "ttys003", "pts/3", or "?" for none
+  const name = run('ps', ['-o', 'tty=', '-p', String(pid)]);
+  return name && !/^\?+$/.test(name) ? (name.startsWith('/dev/') ? name : `/dev/${name}`) : null;
+}
+
+function parentOf(pid) {
+  try {
+    // The command name may contain spaces or parentheses: the fields after the last ")" don't
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+  } catch {
+    return parseInt(run('ps', ['-o', 'ppid=', '-p', String(pid)])) || null;
+  }
+}
+
+// Whether alerts can reach a screen on this machine. Linux needs an X or Wayland display.
+// Elsewhere the desktop is always there, but nobody sees it from an SSH session.
+function hasGraphicalSession(env = process.env) {
+  if (os.platform() === 'linux') return Boolean(env.DISPLAY || env.WAYLAND_DISPLAY);
+  return !(env.SSH_CONNECTION || env.SSH_TTY);
+}
+
+// Where the terminal of `pid` (or its nearest ancestor with one) is:
+// { tty, tmux: { socket, pane }, screen: { session, window }, ssh, graphical }.
+// Never throws; missing parts are left out.
+function captureTerminal(pid = process.ppid, env = process.env) {
+  const terminal = {
+    ssh: Boolean(env.SSH_CONNECTION || env.SSH_TTY),
+    graphical: hasGraphicalSession(env),
+  };
+
+  if (os.platform() !== 'win32') {
+    for (let i = 0, current = pid; i < MAX_ANCESTORS && current > 1; i++, current = parentOf(current)) {
+      const tty = ttyOf(current);
+      if (tty) {
+        terminal.tty = tty;
+        break;
+      }
+    }
+  }
+
+  // TMUX is "<socket>,<server pid>,<session>"
+  if (env.TMUX && env.TMUX_PANE) terminal.tmux = { socket: env.TMUX.split(',')[0], pane: env.TMUX_PANE };
+  if (env.STY) terminal.screen = { session: env.STY, window: env.WINDOW };
+  return terminal;
+}
+
+// Whether the daemon should ring in the terminal instead of on a desktop. `mode` is the
+// `headless` setting: "auto" (go by the session the alarm was armed in), "on" or "off".
+function isHeadless(mode, terminal, env = process.env) {
+  if (mode === 'on') return true;
+  if (mode === 'off') return false;
+  return terminal && typeof terminal.graphical === 'boolean' ? !terminal.graphical : !hasGraphicalSession(env);
+}
+
+// ── Delivery ─────────────────────────────────────────────────────────
+
+// Control characters would end the escape sequence early
+function plain(text) {
+  return String(text || '').replace(/[\x00-\x1f\x7f;]/g, ' ');
+}
+
+function escapes(alert, osc) {
+  const sequences = [];
+  if (osc === 'both' || osc === '9') sequences.push(`\x1b]9;${plain(alert.title)}: ${plain(alert.message)}\x07`);
+  if (osc === 'both' || osc === '777') {
+    sequences.push(`\x1b]777;notify;${plain(alert.title)};${plain(alert.message)}\x07`);
+  }
+  return sequences;
+}
+
+// tmux and screen keep escape sequences to themselves unless they are wrapped
+// (tmux also needs `set -g allow-passthrough on`)
+function passthrough(sequence, terminal) {
+  if (terminal.tmux) return `\x1bPtmux;${sequence.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`;
+  if (terminal.screen) return `\x1bP${sequence}\x1b\\`;
+  return sequence;
+}
+
+// Only write to a TTY that is still ours: after a logout its number can be reused
+function writeTty(tty, text) {
+  if (typeof process.getuid === 'function' && fs.statSync(tty).uid !== process.getuid()) {
+    throw new Error(`${tty} belongs to another user now`);
+  }
+  const fd = fs.openSync(tty, fs.constants.O_WRONLY | (fs.constants.O_NOCTTY || 0));
+  try {
+    fs.writeSync(fd, text);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// tmux reads the message as a format: "#(...)" would run a shell command and "#{...}"
+// expand, so every "#" is doubled. A final ";" would end the command instead of showing.
+function tmuxLiteral(text) {
+  return String(text).replace(/#/g, '##').replace(/;$/, '\\;');
+}
+
+function tmuxMessage(tmux, message) {
+  const base = ['-S', tmux.socket, 'display-message', '-t', tmux.pane];
+  const text = tmuxLiteral(message);
+  try {
+    execFileSync('tmux', [...base, '-d', '10000', text], { stdio: 'ignore', timeout: 5000 });
+  } catch {
+    execFileSync('tmux', [...base, text], { stdio: 'ignore', timeout: 5000 }); // tmux before 3.2 has no -d
+  }
+}
+
+// Deliver the alert to `terminal`. Options: bell (true), osc ("both", "9", "777" or
+// "none"), tmux (true), screen (true). Returns what was done, for `claude-alarm test`.
+function sendToTerminal(terminal, alert, options = {}) {
+  if (!terminal || !(terminal.tty || terminal.tmux || terminal.screen)) {
+    throw new Error('no terminal recorded for this alarm');
+  }
+
+  const done = [];
+  const errors = [];
+  const attempt = (label, fn) => {
+    try {
+      fn();
+      done.push(label);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+    }
+  };
+
+  const osc = options.osc || 'both';
+  const bell = options.bell !== false && !alert.silent;
+  if (terminal.tty) {
+    const text = escapes(alert, osc).map((s) => passthrough(s, terminal)).join('') + (bell ? '\x07' : '');
+    if (text) attempt(terminal.tty, () => writeTty(terminal.tty, text));
+  }
+  if (terminal.tmux && options.tmux !== false) {
+    attempt('tmux', () => tmuxMessage(terminal.tmux, `${alert.title}: ${alert.message}`));
+  }
+  if (terminal.screen && options.screen !== false) {
+    const target = ['-S', terminal.screen.session, ...(terminal.screen.window ? ['-p', terminal.screen.window] : [])];
+    attempt('screen', () =>
+      execFileSync('screen', [...target, '-X', 'echo', `${alert.title}: ${alert.message}`], { stdio: 'ignore', timeout: 5000 })
+    );
+  }
+
+  if (done.length === 0) throw new Error(errors.join('; ') || 'nothing to deliver');
+  return done.join(', ');
+}
+
+module.exports = { captureTerminal, hasGraphicalSession, isHeadless, sendToTerminal };
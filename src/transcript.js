@@ -0,0 +1,88 @@
+'use strict';
+
+//
+// Reads the tail of a Claude Code session transcript (JSONL) for the entry that carries
+// the rate limit message. Hook payloads often just say "usage limit reached", while the
+// transcript's API error or system entry has the full text with the reset time.
+// Used by the hook handler when `scanTranscript` is on.
+// It lives at ~/.claude-alarm/transcript.js after setup.
+//
+
+const fs = require('fs');
+
+// How much of the end of the transcript we read. Enough for the last few turns, and
+// small enough to parse well inside the hook's 8-second limit.
+const MAX_TAIL_BYTES = 256 * 1024;
+
+// Entries older than this belong to an earlier limit
+const MAX_ENTRY_AGE_MS = 15 * 60 * 1000;
+
+function readTail(file, maxBytes) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const text = buffer.toString('utf8');
+    // The first line is cut short unless we read the whole file
+    return length < size ? text.slice(text.indexOf('\n') + 1) : text;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Text of a transcript entry: `content` on system entries, `message.content` (a string
+// or a list of blocks) on user and assistant entries
+function entryText(entry) {
+  const content = entry.message && entry.message.content !== undefined ? entry.message.content : entry.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((block) => (block && typeof block.text === 'string' ? block.text : ''))
+      .filter(Boolean)
+      .join(' ');
+  }
+  return '';
+}
+
+// Only entries written by Claude Code itself -- API errors and system messages, never
+// conversation content
+function isLimitCandidate(entry) {
+  return entry.isApiErrorMessage === true || entry.type === 'system' || Boolean(entry.error);
+}
+
+// The newest API error or system entry in the transcript that `matches` accepts, as
+// { text, timestamp, sessionId, cwd }, or null. Never throws.
+function findLimitEntry(file, matches, { now = Date.now(), maxBytes = MAX_TAIL_BYTES } = {}) {
+  if (!file) return null;
+
+  let lines;
+  try {
+    lines = readTail(file, maxBytes).split('\n');
+  } catch {
+    return null;
+  }
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (!entry || !isLimitCandidate(entry)) continue;
+
+    const timestamp = Date.parse(entry.timestamp);
+    if (timestamp && now - timestamp > MAX_ENTRY_AGE_MS) break; // Older entries only get older
+
+    const text = [entryText(entry), typeof entry.error === 'string' ? entry.error : ''].filter(Boolean).join(' ');
+    if (text && matches(text)) {
+      return { text, timestamp: timestamp || null, sessionId: entry.sessionId, cwd: entry.cwd };
+    }
+  }
+  return null;
+}
+
+module.exports = { findLimitEntry };
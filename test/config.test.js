@@ -0,0 +1,109 @@
+'use strict';
+
+// The config schema: validation, loading over the defaults and saving, in a scratch home
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-alarm-config-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+const { CONFIG_FILE, validateConfig, loadConfig, writeConfigFile, defaults } = require('../src/config');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function saveRaw(text) {
+  fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG_FILE, text);
+}
+
+test('the config file is in the scratch home', () => {
+  assert.strictEqual(CONFIG_FILE, path.join(home, '.claude-alarm', 'config.json'));
+});
+
+test('validateConfig accepts a valid config', () => {
+  const config = {
+    locale: 'de',
+    snoozeMinutes: 10,
+    notifiers: ['desktop', { type: 'ntfy', priority: 'high' }, { type: 'module', path: '~/my-notifier.js' }],
+    onReset: ['echo reset', { command: 'make', cwd: '~/project', timeoutSeconds: 60 }],
+    repeat: { count: 3, escalate: [{ at: 2, urgency: 'critical' }] },
+    quietHours: { mode: 'defer', windows: [{ start: '22:00', end: '07:00' }] },
+    ntfy: { topic: 'alarm', priority: 3 },
+    sync: { dir: '~/Sync/claude-alarm' },
+    voice: null,
+  };
+  assert.deepStrictEqual(validateConfig(config), []);
+});
+
+test('validateConfig reports each problem by its dotted key', () => {
+  const problems = validateConfig({
+    rate: 20,
+    locale: 'xx',
+    notifiers: ['desktop', 'bogus'],
+    repeat: { count: 'x', interval: 3 },
+    onReset: [{ command: '' }],
+    headless: 'maybe',
+  });
+  const byKey = Object.fromEntries(problems.map((p) => [p.key, p.message]));
+  assert.deepStrictEqual(Object.keys(byKey).sort(), ['headless', 'locale', 'notifiers', 'onReset', 'rate', 'repeat.count', 'repeat.interval']);
+  assert.strictEqual(byKey.rate, 'should be at least 80, not 20');
+  assert.match(byKey.locale, /^should be one of auto, en, /);
+  assert.match(byKey.notifiers, /^item 2 unknown notifier "bogus"/);
+  assert.strictEqual(byKey['repeat.count'], 'should be a whole number, not "x"');
+  assert.strictEqual(byKey['repeat.interval'], 'unknown key (did you mean "repeat.intervalSeconds"?)');
+  assert.match(byKey.onReset, /^item 1 should be a command/);
+});
+
+test('validateConfig with fix drops invalid values and keeps unknown keys', () => {
+  const config = { rate: 20, snoozeMinutes: 5, repeat: { count: -1, backoff: 2 }, someday: true };
+  validateConfig(config, { fix: true });
+  assert.deepStrictEqual(config, { snoozeMinutes: 5, repeat: { backoff: 2 }, someday: true });
+});
+
+test('loadConfig gives the defaults without a file', () => {
+  fs.rmSync(CONFIG_FILE, { force: true });
+  assert.deepStrictEqual(loadConfig(), { config: defaults(), warnings: [] });
+});
+
+test('loadConfig keeps the nested defaults a saved object leaves out', () => {
+  saveRaw(JSON.stringify({ repeat: { count: 3 }, quietHours: { enabled: false }, snoozeMinutes: 5 }));
+  const { config, warnings } = loadConfig();
+  assert.deepStrictEqual(warnings, []);
+  assert.strictEqual(config.snoozeMinutes, 5);
+  assert.strictEqual(config.rate, 165);
+  assert.deepStrictEqual(config.repeat, { count: 3, intervalSeconds: 60, backoff: 1, escalate: [] });
+  assert.deepStrictEqual(config.quietHours, { enabled: false, mode: 'mute', muteNotifiers: ['voice', 'chime'], windows: [] });
+  assert.strictEqual(config.warnings, undefined); // Not saved: not there
+});
+
+test('loadConfig replaces invalid values with their defaults and warns', () => {
+  saveRaw(JSON.stringify({ rate: 20, repeat: { count: 'x', backoff: 2 } }));
+  const { config, warnings } = loadConfig();
+  assert.strictEqual(config.rate, 165);
+  assert.deepStrictEqual(config.repeat, { count: 1, intervalSeconds: 60, backoff: 2, escalate: [] });
+  assert.deepStrictEqual(warnings, [
+    'config.json rate: should be at least 80, not 20 -- using the default',
+    'config.json repeat.count: should be a whole number, not "x" -- using the default',
+  ]);
+});
+
+test('loadConfig falls back to the defaults when the file is not JSON', () => {
+  saveRaw('{ "rate": ');
+  const { config, warnings } = loadConfig();
+  assert.deepStrictEqual(config, defaults());
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /is not valid JSON .* -- using defaults$/);
+});
+
+test('writeConfigFile replaces the file whole, readable by the user only', () => {
+  saveRaw('{}');
+  fs.chmodSync(CONFIG_FILE, 0o644);
+  writeConfigFile({ ntfy: { topic: 'alarm', token: 'tk_secret' } });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')), { ntfy: { topic: 'alarm', token: 'tk_secret' } });
+  if (process.platform !== 'win32') assert.strictEqual(fs.statSync(CONFIG_FILE).mode & 0o777, 0o600);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(CONFIG_FILE)), ['config.json']);
+});
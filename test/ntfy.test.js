@@ -0,0 +1,133 @@
+'use strict';
+
+// The ntfy notifier and its Dismiss / Snooze buttons against a local stand-in server
+
+const assert = require('assert');
+const http = require('http');
+const { test } = require('node:test');
+const { backends } = require('../src/notifiers');
+
+const sendNtfy = backends.ntfy.send;
+
+function ringingAlert(handlers) {
+  return {
+    kind: 'fire',
+    title: 'Claude Credits Renewed',
+    push: 'Credits are back',
+    labels: { dismiss: 'Dismiss', snooze: 'Snooze {minutes}m' },
+    config: { snoozeMinutes: 15 },
+    alarm: { id: 'usage-limit' },
+    ...handlers,
+  };
+}
+
+// Publishes go to `published`; each subscription to the control topic is handed to
+// `subscribe(req, res, n)` for the n-th one (from 1).
+function standIn(subscribe) {
+  const published = [];
+  const subscriptions = [];
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+      subscriptions.push({ url: req.url, headers: req.headers });
+      return subscribe(req, res, subscriptions.length);
+    }
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      published.push({ headers: req.headers, message: JSON.parse(body) });
+      res.end('{}');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        published,
+        subscriptions,
+        close: () => {
+          if (server.closeAllConnections) server.closeAllConnections(); // Node 18.2+
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+const streamLine = (event) => JSON.stringify({ time: Math.floor(Date.now() / 1000), topic: 'alarm-control', ...event }) + '\n';
+
+test('the buttons never carry the publishing credentials', async () => {
+  const server = await standIn(() => {});
+  const ringing = new AbortController();
+  try {
+    await sendNtfy(ringingAlert({ signal: ringing.signal }), { url: server.url, topic: 'alarm', token: 'tk_secret' });
+    await sendNtfy(ringingAlert({ signal: ringing.signal }), {
+      url: server.url,
+      topic: 'alarm',
+      username: 'me',
+      password: 'hunter2',
+      controlToken: 'tk_buttons',
+    });
+
+    const [plain, withControlToken] = server.published;
+    assert.strictEqual(plain.headers.authorization, 'Bearer tk_secret');
+    for (const action of plain.message.actions) assert.strictEqual(action.headers, undefined);
+    for (const action of withControlToken.message.actions) {
+      assert.deepStrictEqual(action.headers, { Authorization: 'Bearer tk_buttons' });
+    }
+    assert.ok(!JSON.stringify(server.published.map((p) => p.message)).includes('tk_secret'));
+    assert.ok(!JSON.stringify(server.published.map((p) => p.message)).includes(Buffer.from('me:hunter2').toString('base64')));
+  } finally {
+    ringing.abort();
+    server.close();
+  }
+});
+
+test('reconnects from the last message when the control stream drops', { timeout: 10000 }, async () => {
+  const server = await standIn((req, res, n) => {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    if (n === 1) {
+      // A message for another alarm, then the connection drops
+      res.write(streamLine({ id: 'msg1', event: 'message', message: 'dismiss weekly-limit' }));
+      setTimeout(() => res.destroy(), 50);
+    } else {
+      res.write(streamLine({ id: 'msg2', event: 'message', message: 'snooze usage-limit 5' }));
+    }
+  });
+  const ringing = new AbortController();
+  try {
+    const snoozed = new Promise((resolve) => {
+      sendNtfy(ringingAlert({ signal: ringing.signal, onSnooze: (minutes, via) => resolve({ minutes, via }) }), {
+        url: server.url,
+        topic: 'alarm',
+        controlTopic: 'alarm-control',
+      });
+    });
+    assert.deepStrictEqual(await snoozed, { minutes: 5, via: 'ntfy' });
+    assert.strictEqual(server.subscriptions.length, 2);
+    assert.match(server.subscriptions[0].url, /^\/alarm-control\/json\?since=\d+$/);
+    assert.strictEqual(server.subscriptions[1].url, '/alarm-control/json?since=msg1');
+  } finally {
+    ringing.abort();
+    server.close();
+  }
+});
+
+test('stops reconnecting once the ringing ends', async () => {
+  const server = await standIn((req, res) => res.destroy());
+  const ringing = new AbortController();
+  try {
+    await sendNtfy(ringingAlert({ signal: ringing.signal }), { url: server.url, topic: 'alarm' });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    ringing.abort();
+    const seen = server.subscriptions.length;
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    assert.strictEqual(server.subscriptions.length, seen);
+  } finally {
+    server.close();
+  }
+});
+
+test('is skipped without a topic', async () => {
+  await assert.rejects(sendNtfy(ringingAlert({}), {}), (err) => err.skipped === true);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+// The reset-time parser against sample limit messages, at a fixed time in a fixed timezone
+
+process.env.TZ = 'Europe/Berlin';
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseResetTime } = require('../src/reset-time');
+
+// Monday, 10:00 summer time; Berlin goes back to UTC+1 on Sunday, Oct 25
+const NOW = Date.parse('2026-10-19T10:00:00+02:00');
+const SOON = new Date(NOW + 30 * 1000).toISOString(); // A reset that already passed
+
+// [message, expected reset (null: none found), rule, timezone, now]
+const SAMPLES = [
+  // Clock times: the next time they come round
+  ['Claude usage limit reached. Your limit resets 3pm', '2026-10-19T15:00:00+02:00', 'clock'],
+  ['Your limit will reset at 11pm', '2026-10-19T23:00:00+02:00', 'clock'],
+  ['5-hour limit reached ∙ resets 9am', '2026-10-20T09:00:00+02:00', 'clock'],
+  ['resets 12am', '2026-10-20T00:00:00+02:00', 'clock'],
+  ['resets 12pm', '2026-10-19T12:00:00+02:00', 'clock'],
+  ['resets 3:30 p.m.', '2026-10-19T15:30:00+02:00', 'clock'],
+  ['usage limit reached until 15:00', '2026-10-19T15:00:00+02:00', 'clock'],
+  ['reset at 3pm (America/Los_Angeles)', '2026-10-19T15:00:00-07:00', 'clock', 'America/Los_Angeles'],
+  ['resets 9am UTC', '2026-10-19T09:00:00Z', 'clock', 'UTC'],
+  ['resets 6pm UTC+5:30', '2026-10-19T18:00:00+05:30', 'clock', 'UTC+5:30'],
+  ['resets 13pm', null],
+  ['took 15:00 to build', null],
+
+  // Durations
+  ['Rate limited, try again in 2h 30m', '2026-10-19T12:30:00+02:00', 'duration'],
+  ['retry in 45 minutes', '2026-10-19T10:45:00+02:00', 'duration'],
+  ['available again in 1 day and 3 hours', '2026-10-20T13:00:00+02:00', 'duration'],
+  ['retry-after: 3600', '2026-10-19T11:00:00+02:00', 'retry-after'],
+
+  // Dates and weekdays
+  ['Weekly limit reached, resets Oct 21, 9am', '2026-10-21T09:00:00+02:00', 'date'],
+  ['until 21 October at 15:00', '2026-10-21T15:00:00+02:00', 'date'],
+  ['resets Oct 27', '2026-10-27T00:00:00+01:00', 'date'],
+  ['resets Oct 21, 2026 9am', '2026-10-21T09:00:00+02:00', 'date'],
+  ['resets Oct 32', null],
+  ['Weekly limit reached, resets Monday at 9am', '2026-10-26T09:00:00+01:00', 'weekday'],
+  ['until Thu 14:00', '2026-10-22T14:00:00+02:00', 'weekday'],
+
+  // A date without a year is the nearest one: a stale message stays in the past
+  ['resets Oct 18', SOON, 'date'],
+  ['resets Jan 2, 9am', '2027-01-02T09:00:00+01:00', 'date', null, '2026-12-30T12:00:00+01:00'],
+  ['resets Dec 31, 11pm', '2027-01-01T12:00:30+01:00', 'date', null, '2027-01-01T12:00:00+01:00'],
+
+  // Timestamps
+  ['Claude AI usage limit reached|1792519200', '2026-10-20T18:00:00Z', 'epoch'],
+  ['{"resets_at": 1792519200000}', '2026-10-20T18:00:00Z', 'epoch'],
+  ['request id|1234567890', null],
+  ['resets 2026-10-21T09:00:00Z', '2026-10-21T09:00:00Z', 'iso'],
+  ['resets 2026-10-21 09:00:00+0530', '2026-10-21T09:00:00+05:30', 'iso'],
+  ['resets 2026-10-21T09:00', '2026-10-21T09:00:00+02:00', 'iso'],
+  ['resets 2026-10-18T09:00:00Z', SOON, 'iso'],
+
+  ['Claude usage limit reached.', null],
+  ['', null],
+];
+
+for (const [message, expected, rule, timezone = null, now] of SAMPLES) {
+  test(`${JSON.stringify(message)}${now ? ` on ${now}` : ''}`, () => {
+    const result = parseResetTime(message, now ? Date.parse(now) : NOW);
+    if (expected === null) return assert.strictEqual(result, null);
+    assert.ok(result, 'no reset time found');
+    assert.strictEqual(new Date(result.time).toISOString(), new Date(expected).toISOString());
+    assert.strictEqual(result.rule, rule);
+    assert.strictEqual(result.timezone, timezone);
+  });
+}
@@ -0,0 +1,157 @@
+'use strict';
+
+// The webhook notifier against a local stand-in server
+
+const assert = require('assert');
+const http = require('http');
+const { test } = require('node:test');
+const { backends } = require('../src/notifiers');
+
+const sendWebhook = backends.webhook.send;
+
+const alert = {
+  kind: 'fire',
+  title: 'Claude Credits Renewed',
+  message: 'Time to build.',
+  push: 'Credits are back',
+  values: { resetTime: '05:00 PM', id: 'usage-limit', project: 'tree' },
+  alarm: { id: 'usage-limit', targetTime: Date.UTC(2026, 9, 19, 17) },
+};
+
+// Serve `respond(req, res, n)` for the n-th request (from 1). Resolves to
+// { url, requests, close }, where requests collects { method, url, headers, body }.
+function standIn(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      respond(req, res, requests.length);
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => {
+          if (server.closeAllConnections) server.closeAllConnections(); // Node 18.2+
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+const status = (code) => (req, res) => {
+  res.writeHead(code);
+  res.end();
+};
+
+test('fills placeholders in the url, headers and body, and sends JSON', async () => {
+  const server = await standIn(status(200));
+  try {
+    await sendWebhook(alert, {
+      url: `${server.url}/hook/{kind}`,
+      headers: { 'X-Alarm': '{id}' },
+      body: { text: '{title} at {resetTime}', meta: { project: '{project}', reset: '{resetISO}' } },
+    });
+    const [request] = server.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/hook/fire');
+    assert.strictEqual(request.headers['x-alarm'], 'usage-limit');
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(request.body), {
+      text: 'Claude Credits Renewed at 05:00 PM',
+      meta: { project: 'tree', reset: '2026-10-19T17:00:00.000Z' },
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('sends the default body when none is configured', async () => {
+  const server = await standIn(status(204));
+  try {
+    await sendWebhook(alert, { url: server.url });
+    assert.deepStrictEqual(JSON.parse(server.requests[0].body), { text: 'Claude Credits Renewed: Time to build.' });
+  } finally {
+    server.close();
+  }
+});
+
+test('keeps a configured Content-Type, and adds none to a string body', async () => {
+  const server = await standIn(status(200));
+  try {
+    await sendWebhook(alert, { url: server.url, headers: { 'content-type': 'application/vnd.custom+json' }, body: {} });
+    await sendWebhook(alert, { url: server.url, method: 'PUT', body: 'reset {resetTime}' });
+    assert.strictEqual(server.requests[0].headers['content-type'], 'application/vnd.custom+json');
+    assert.strictEqual(server.requests[1].method, 'PUT');
+    assert.strictEqual(server.requests[1].headers['content-type'], undefined);
+    assert.strictEqual(server.requests[1].body, 'reset 05:00 PM');
+  } finally {
+    server.close();
+  }
+});
+
+test('retries server errors and rate limits', async () => {
+  const server = await standIn((req, res, n) => status([500, 429, 200][n - 1])(req, res));
+  try {
+    await sendWebhook(alert, { url: server.url, retries: 2, backoffMs: 1 });
+    assert.strictEqual(server.requests.length, 3);
+  } finally {
+    server.close();
+  }
+});
+
+test('gives up after the last retry', async () => {
+  const server = await standIn(status(503));
+  try {
+    await assert.rejects(sendWebhook(alert, { url: server.url, retries: 1, backoffMs: 1 }), /responded 503/);
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('does not retry other client errors', async () => {
+  const server = await standIn(status(404));
+  try {
+    await assert.rejects(sendWebhook(alert, { url: server.url, retries: 2, backoffMs: 1 }), /responded 404/);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('times out a server that never answers', async () => {
+  const server = await standIn(() => {});
+  try {
+    const started = Date.now();
+    await assert.rejects(sendWebhook(alert, { url: server.url, retries: 0, timeoutMs: 200 }), /timed out after 200ms/);
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    server.close();
+  }
+});
+
+test('times out a server that trickles its response', async () => {
+  const server = await standIn((req, res) => {
+    res.writeHead(200);
+    const timer = setInterval(() => res.write('.'), 50);
+    res.on('close', () => clearInterval(timer));
+  });
+  try {
+    const started = Date.now();
+    await assert.rejects(sendWebhook(alert, { url: server.url, retries: 0, timeoutMs: 300 }), /timed out after 300ms/);
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    server.close();
+  }
+});
+
+test('needs a url', async () => {
+  await assert.rejects(sendWebhook(alert, {}), /needs a url/);
+});